@@ -0,0 +1,223 @@
+import { useEffect, useRef, useState } from "react";
+import "../src/index.css";
+import MessageRenderer, { MessageMarkdown } from "../src/components/MessageRenderer.jsx";
+import { frameBatcher } from "../src/utils/frameBatcher";
+
+// Replays a recorded answer stream (see record-stream.js) into a conversation
+// and measures frame times, once the way Chat used to render and once the way
+// it renders now:
+//   before  a state update per token; every message re-parsed on each render
+//   after   one update per animation frame; settled messages memoised and only
+//           the streaming tail re-parsed
+// Mounted by bench/main.jsx; open with `npm run bench`. Query parameters: rate (tokens per second,
+// default 500), history (earlier messages in the session, default 20) and
+// limit (seconds before a run is cut off, default 60).
+
+const params = new URLSearchParams(location.search);
+const RATE = Number(params.get("rate")) || 500;
+const HISTORY = Number(params.get("history") ?? 20);
+const LIMIT = (Number(params.get("limit")) || 60) * 1000;
+const TICK = 4;
+const LONG_FRAME = 50;
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+// Earlier turns of the session, cut from the recording itself.
+const buildHistory = (tokens) => {
+  const messages = [];
+  for (let i = 0; i < HISTORY; i += 2) {
+    messages.push({ role: "user", content: `Question ${i / 2 + 1}` });
+    messages.push({ role: "assistant", content: tokens.slice(i * 30, i * 30 + 60).join("\n") });
+  }
+  return messages;
+};
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function summarize(mode, frames, delivered, total, duration) {
+  const sorted = [...frames].sort((a, b) => a - b);
+  const sum = frames.reduce((a, b) => a + b, 0);
+  return {
+    mode,
+    tokens: `${delivered}/${total}`,
+    "duration s": (duration / 1000).toFixed(1),
+    frames: frames.length,
+    "mean ms": (sum / (frames.length || 1)).toFixed(1),
+    "p50 ms": percentile(sorted, 50).toFixed(1),
+    "p95 ms": percentile(sorted, 95).toFixed(1),
+    "p99 ms": percentile(sorted, 99).toFixed(1),
+    "max ms": (sorted[sorted.length - 1] || 0).toFixed(1),
+    [`> ${LONG_FRAME} ms`]: frames.filter((f) => f > LONG_FRAME).length,
+  };
+}
+
+function Conversation({ messages, mode, streaming }) {
+  return (
+    <div className="flex flex-col gap-4">
+      {messages.map((m, i) => (
+        <div key={i} className={`rounded-xl p-4 ${m.role === "user" ? "bg-indigo-600 text-white self-end" : "bg-white border border-gray-200"}`}>
+          {mode === "before" ? (
+            <MessageMarkdown content={m.content} role={m.role} />
+          ) : (
+            <MessageRenderer content={m.content} role={m.role} streaming={streaming && i === messages.length - 1} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function Bench() {
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState("after");
+  const [messages, setMessages] = useState([]);
+  const [streaming, setStreaming] = useState(false);
+  const [running, setRunning] = useState(null);
+  const [results, setResults] = useState([]);
+  const progressRef = useRef(null);
+
+  useEffect(() => {
+    fetch("/bench/recorded-stream.json")
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(setRecording)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const run = async (runMode) => {
+    const { tokens } = recording;
+    setMode(runMode);
+    setMessages([]);
+    await nextFrame();
+    const history = buildHistory(tokens);
+    setMessages([...history, { role: "user", content: "Write a long answer" }, { role: "assistant", content: "" }]);
+    setStreaming(true);
+    await nextFrame();
+    await nextFrame();
+
+    const frames = [];
+    let measuring = true;
+    let last = performance.now();
+    const measure = (now) => {
+      frames.push(now - last);
+      last = now;
+      if (measuring) requestAnimationFrame(measure);
+    };
+    requestAnimationFrame(measure);
+
+    let content = "";
+    const setContent = () =>
+      setMessages((prev) => [...prev.slice(0, -1), { ...prev[prev.length - 1], content }]);
+    const batch = frameBatcher(setContent);
+    const onToken =
+      runMode === "before"
+        ? (token) => {
+            content += token + "\n";
+            setContent();
+          }
+        : (token) => {
+            content += token + "\n";
+            batch.schedule();
+          };
+
+    const start = performance.now();
+    let delivered = 0;
+    await new Promise((resolve) => {
+      const timer = setInterval(() => {
+        const elapsed = performance.now() - start;
+        const due = Math.min(tokens.length, Math.floor((elapsed * RATE) / 1000));
+        while (delivered < due) onToken(tokens[delivered++]);
+        if (progressRef.current) progressRef.current.textContent = `${delivered}/${tokens.length} tokens`;
+        if (delivered === tokens.length || elapsed > LIMIT) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, TICK);
+    });
+    batch.cancel();
+    setContent();
+    setStreaming(false);
+    await nextFrame();
+    await nextFrame();
+    measuring = false;
+    const result = summarize(runMode, frames, delivered, tokens.length, performance.now() - start);
+    setResults((prev) => [...prev, result]);
+  };
+
+  const runAll = async (modes) => {
+    for (const runMode of modes) {
+      setRunning(runMode);
+      await run(runMode);
+    }
+    setRunning(null);
+  };
+
+  if (error) {
+    return (
+      <div className="p-6 max-w-2xl text-sm">
+        <p className="font-semibold">No recording at /bench/recorded-stream.json ({error}).</p>
+        <p className="mt-2">
+          Start the mock with <code>MOCK_TOKEN_DELAY=0 npm run mock</code>, then run <code>npm run bench:record</code>.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto text-sm">
+      <h1 className="text-xl font-bold mb-2">Streaming render benchmark</h1>
+      <p className="text-gray-600 mb-4">
+        {recording
+          ? `${recording.tokens.length} tokens recorded from ${recording.source}; replayed at ${RATE} tokens/s after ${HISTORY} earlier messages.`
+          : "Loading recording…"}
+      </p>
+      <div className="flex items-center gap-2 mb-4">
+        {[["before"], ["after"], ["before", "after"]].map((modes) => (
+          <button
+            key={modes.join("+")}
+            disabled={!recording || running}
+            onClick={() => runAll(modes)}
+            className="border border-gray-300 rounded px-3 py-1 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Run {modes.join(" + ")}
+          </button>
+        ))}
+        {running && (
+          <span className="text-gray-500">
+            Running {running}… <span ref={progressRef} />
+          </span>
+        )}
+      </div>
+      {results.length > 0 && (
+        <table className="mb-6 border-collapse">
+          <thead>
+            <tr>
+              {Object.keys(results[0]).map((key) => (
+                <th key={key} className="border border-gray-200 px-2 py-1 text-left">
+                  {key}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((result, i) => (
+              <tr key={i}>
+                {Object.values(result).map((value, j) => (
+                  <td key={j} className="border border-gray-200 px-2 py-1">
+                    {value}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="h-[60vh] overflow-y-auto bg-gray-50 rounded-xl p-4">
+        <Conversation messages={messages} mode={mode} streaming={streaming} />
+      </div>
+    </div>
+  );
+}
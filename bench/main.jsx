@@ -0,0 +1,4 @@
+import { createRoot } from "react-dom/client";
+import Bench from "./Bench.jsx";
+
+createRoot(document.getElementById("root")).render(<Bench />);
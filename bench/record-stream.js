@@ -0,0 +1,49 @@
+// Records an answer stream from a backend for the render benchmark
+// (bench/index.html). Prompts are sent to one session until enough stream
+// events have arrived; the events are saved in order as "tokens".
+//
+//   MOCK_TOKEN_DELAY=0 npm run mock          # in another terminal
+//   npm run bench:record -- --tokens 20000
+//
+// Options: --url (default http://localhost:8000), --prompt (default
+// "Write a long answer #long", which the mock answers with 20000 lines),
+// --tokens, --out (default bench/recorded-stream.json).
+import { writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { fetchEventStream } from "../src/utils/sse.js";
+
+const option = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? fallback : process.argv[i + 1];
+};
+
+const url = option("url", "http://localhost:8000").replace(/\/+$/, "");
+const prompt = option("prompt", "Write a long answer #long");
+const target = Number(option("tokens", 20000));
+const out = option("out", fileURLToPath(new URL("./recorded-stream.json", import.meta.url)));
+
+const sessionId = `session_bench_${Date.now()}`;
+const tokens = [];
+
+while (tokens.length < target) {
+  const before = tokens.length;
+  await fetchEventStream(`${url}/chat/${sessionId}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message: prompt, session_id: sessionId }),
+    handlers: {
+      onToken: (data) => tokens.push(data),
+      onError: (err) => {
+        throw err;
+      },
+    },
+  });
+  if (tokens.length === before) throw new Error("The backend answered without any tokens");
+  process.stdout.write(`\r${Math.min(tokens.length, target)}/${target} tokens`);
+}
+
+await writeFile(
+  out,
+  JSON.stringify({ source: url, prompt, recorded_at: new Date().toISOString(), tokens: tokens.slice(0, target) })
+);
+console.log(`\nSaved to ${out}`);
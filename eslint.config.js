@@ -26,4 +26,10 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['mock/**/*.js', 'bench/record-stream.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -0,0 +1,109 @@
+// Canned answers and failure modes for the mock backend. A scenario is picked
+// per request from a `#tag` in the message (e.g. "explain waves #latex"), or
+// for every request from the MOCK_SCENARIO environment variable.
+
+export const SCENARIOS = ["default", "slow", "drop", "fail", "404", "flaky", "malformed", "latex", "long"];
+
+export const pickScenario = (message = "") => {
+  const tag = message.match(/#([\w-]+)/)?.[1];
+  if (tag && SCENARIOS.includes(tag)) return tag;
+  return process.env.MOCK_SCENARIO || "default";
+};
+
+const LATEX_ANSWER = `## Solving the wave equation
+
+Start from the one-dimensional wave equation:
+
+$$
+\\frac{\\partial^2 \\psi}{\\partial x^2} = \\frac{1}{v^2} \\frac{\\partial^2 \\psi}{\\partial t^2}
+$$
+
+Try a plane wave $\\psi(x, t) = A e^{i(kx - \\omega t)}$. Substituting gives:
+
+- Left side: $-k^2 A e^{i(kx - \\omega t)}$
+- Right side: $-\\frac{\\omega^2}{v^2} A e^{i(kx - \\omega t)}$
+
+Dividing by $A e^{i(kx - \\omega t)}$:
+
+$$k^2 = \\frac{\\omega^2}{v^2} \\quad \\Rightarrow \\quad \\omega = v k$$
+
+For a particle in a box of length $L$, the normalised states are
+$\\psi_n(x) = \\sqrt{\\frac{2}{L}} \\sin\\left(\\frac{n \\pi x}{L}\\right)$ and
+$$\\int_0^L |\\psi_n(x)|^2 \\, dx = 1$$
+
+Therefore the energies are $E_n = \\frac{n^2 \\pi^2 \\hbar^2}{2 m L^2}$.`;
+
+// A long answer mixing every construct the renderer handles, for render
+// benchmarks. Each line is one stream event; MOCK_LONG_LINES sets how many
+// (20000 by default).
+const longAnswer = (count) => {
+  const lines = [];
+  for (let i = 1; lines.length < count; i++) {
+    lines.push(
+      `## Part ${i}`,
+      "",
+      `Part ${i} walks through one more detail with **bold**, *emphasis* and \`code\`,`,
+      `then inline math such as $a_{${i}} = a_{${i - 1}} + ${i}$ before moving on.`,
+      "",
+      `- First point of part ${i}`,
+      `- Second point with $x^{${(i % 9) + 2}}$`,
+      "- Third point",
+      "",
+      "```python",
+      `def part_${i}(x):`,
+      `    return x * ${i}`,
+      "```",
+      "",
+      "$$",
+      `\\sum_{k=1}^{${i}} k = \\frac{${i}(${i}+1)}{2}`,
+      "$$",
+      "",
+      "| n | n² |",
+      "| - | -- |",
+      `| ${i} | ${i * i} |`,
+      ""
+    );
+  }
+  return lines.slice(0, count).join("\n");
+};
+
+export const SOURCES = [
+  {
+    title: "Wave equation - Wikipedia",
+    url: "https://en.wikipedia.org/wiki/Wave_equation",
+    snippet: "The wave equation is a second-order linear partial differential equation for the description of waves.",
+    favicon: "https://en.wikipedia.org/favicon.ico",
+  },
+  {
+    title: "MDN Web Docs: Server-sent events",
+    url: "https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events",
+    snippet: "With server-sent events, it's possible for a server to send new data to a web page at any time.",
+    favicon: "https://developer.mozilla.org/favicon.ico",
+  },
+];
+
+export const answerFor = (message, scenario, isWebSearch) => {
+  if (scenario === "latex") return LATEX_ANSWER;
+  if (scenario === "long") return longAnswer(Number(process.env.MOCK_LONG_LINES) || 20000);
+  const question = message.replace(/#[\w-]+/g, "").trim();
+  const lines = [
+    `### ${isWebSearch ? "Web results" : "Mock answer"}`,
+    "",
+    `You asked: **${question || "(empty message)"}**`,
+    "",
+    "This reply comes from the local mock backend. Some formatting to exercise the renderer:",
+    "",
+    "1. A numbered list item",
+    "2. Inline math such as $E = mc^2$",
+    "3. Some `inline code`",
+    "",
+    "```js",
+    "const answer = 42;",
+    "console.log(answer);",
+    "```",
+  ];
+  if (isWebSearch) {
+    lines.push("", "According to the first result [1], waves obey a simple equation; see also [2].");
+  }
+  return lines.join("\n");
+};
@@ -0,0 +1,416 @@
+// Local stand-in for the Nova backend so the UI can be developed and tested
+// offline. Implements the same contract as the hosted API:
+//
+//   GET    /sessions          -> { sessions: [{ session_id, title, ... }] }
+//          ?limit=&cursor=    -> one page of that, plus `next_cursor`
+//          &sort=newest|oldest|messages|title
+//          &mode=chat|web_search&updated_after=<iso>&min_messages=<n>
+//   GET    /sessions/:id      -> { session_id, messages: [...] } or 404
+//   PATCH  /sessions/:id      -> updates title / pinned / folder
+//   DELETE /sessions/:id      -> { status: "deleted" } or 404
+//   POST   /chat/:id          -> text/event-stream, ends with "data: [DONE]"
+//   POST   /web_search        -> same, plus a "sources" event
+//   GET    /models            -> { models: [{ id, label }] }
+//
+// Chat requests may carry model, system_prompt, temperature, top_p and
+// max_tokens. The mock logs them and honours max_tokens (one token per
+// answer line); the rest does not change its canned answers.
+//
+// With MOCK_AUTH=1 every route but /auth/* needs "Authorization: Bearer
+// <access token>" and sessions belong to the user who created them:
+//
+//   POST   /auth/login        { username, password } -> tokens, or 401
+//   POST   /auth/refresh      { refresh_token }      -> new tokens, or 401
+//   POST   /auth/logout       { refresh_token }      -> 204
+//
+// where tokens are { access_token, refresh_token, expires_in, user }. Access
+// tokens last MOCK_TOKEN_TTL seconds (300 by default); refresh tokens are
+// single-use. The users are alice and bob, both with the password "nova".
+//
+// Run with `npm run mock` and select the "Local" backend in settings.
+// See scenarios.js for the scripted failure modes. MOCK_SESSIONS=<n> seeds n
+// extra sessions; MOCK_LEGACY=1 makes GET /sessions return bare ids without
+// pagination, like older backends.
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { answerFor, pickScenario, SCENARIOS, SOURCES } from "./scenarios.js";
+
+const PORT = Number(process.env.PORT) || 8000;
+const TOKEN_DELAY = Number(process.env.MOCK_TOKEN_DELAY ?? 30);
+const EXTRA_SESSIONS = Number(process.env.MOCK_SESSIONS) || 0;
+const LEGACY_LIST = !!process.env.MOCK_LEGACY;
+const AUTH = !!process.env.MOCK_AUTH;
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 300;
+
+const USERS = {
+  alice: { id: "user_alice", username: "alice", name: "Alice Example", password: "nova" },
+  bob: { id: "user_bob", username: "bob", name: "Bob Example", password: "nova" },
+};
+// token -> { user, expiresAt } and refresh token -> user
+const accessTokens = new Map();
+const refreshTokens = new Map();
+
+const MODELS = [
+  { id: "nova-mini", label: "Nova Mini" },
+  { id: "nova-pro", label: "Nova Pro" },
+  { id: "nova-reasoning", label: "Nova Reasoning" },
+];
+
+const sessions = new Map();
+// Attempts per prompt for the "flaky" scenario.
+const flakyAttempts = new Map();
+
+const clockTime = (date) => date.toTimeString().slice(0, 8);
+
+const makeMessage = (role, content, isWebSearch) => {
+  const now = new Date();
+  return {
+    role,
+    content,
+    is_web_search: isWebSearch ? 1 : 0,
+    timestamp: now.toISOString(),
+    time: clockTime(now),
+  };
+};
+
+// `owner` is the user id with MOCK_AUTH, null otherwise.
+const getOrCreateSession = (id, firstMessage, owner = null) => {
+  if (!sessions.has(id)) {
+    sessions.set(id, {
+      session_id: id,
+      owner,
+      title: firstMessage.replace(/#[\w-]+/g, "").trim().slice(0, 40) || "New Chat",
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      messages: [],
+    });
+  }
+  return sessions.get(id);
+};
+
+// Someone else's session looks the same as a missing one.
+const findSession = (id, user) => {
+  const session = sessions.get(id);
+  return session && (!AUTH || session.owner === user.id) ? session : null;
+};
+
+// Seeded sessions belong to alice when auth is on.
+const seed = (owner = AUTH ? USERS.alice.id : null) => {
+  const a = getOrCreateSession("session_mock_welcome", "Welcome to the mock backend", owner);
+  a.messages.push(
+    makeMessage("user", "Welcome to the mock backend", false),
+    makeMessage("assistant", answerFor("Welcome to the mock backend", "default", false), false)
+  );
+  const b = getOrCreateSession("session_mock_latex", "Explain the wave equation", owner);
+  b.messages.push(
+    makeMessage("user", "Explain the wave equation", false),
+    makeMessage("assistant", answerFor("", "latex", false), false)
+  );
+  for (let i = 1; i <= EXTRA_SESSIONS; i++) {
+    const prompt = `Seeded question number ${i}`;
+    const s = getOrCreateSession(`session_mock_seed_${i}`, prompt, owner);
+    s.updated_at = new Date(Date.now() - i * 60_000).toISOString();
+    s.messages.push(makeMessage("user", prompt, false), makeMessage("assistant", `Seeded answer ${i}.`, false));
+  }
+};
+
+const summary = (s) => ({
+  session_id: s.session_id,
+  title: s.title,
+  created_at: s.created_at,
+  updated_at: s.updated_at,
+  message_count: s.messages.length,
+  mode: s.messages.some((m) => m.is_web_search) ? "web_search" : "chat",
+  first_prompt: s.messages.find((m) => m.role === "user")?.content || null,
+  pinned: !!s.pinned,
+  folder: s.folder || null,
+});
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept, Authorization, Last-Event-ID",
+};
+
+const issueTokens = (user) => {
+  const access = randomUUID();
+  const refresh = randomUUID();
+  accessTokens.set(access, { user, expiresAt: Date.now() + TOKEN_TTL * 1000 });
+  refreshTokens.set(refresh, user);
+  const { password: _, ...profile } = user;
+  return { access_token: access, refresh_token: refresh, token_type: "bearer", expires_in: TOKEN_TTL, user: profile };
+};
+
+// The user behind the request's bearer token; without MOCK_AUTH everyone is
+// the anonymous user.
+const authenticate = (req) => {
+  if (!AUTH) return { id: null };
+  const token = (req.headers.authorization || "").match(/^Bearer (.+)$/)?.[1];
+  const entry = token && accessTokens.get(token);
+  if (!entry) return null;
+  if (entry.expiresAt < Date.now()) {
+    accessTokens.delete(token);
+    return null;
+  }
+  return entry.user;
+};
+
+async function handleAuth(req, res, pathname) {
+  const body = await readBody(req);
+  if (pathname === "/auth/login") {
+    const user = USERS[body.username];
+    if (!user || user.password !== body.password) sendJson(res, 401, { detail: "Invalid username or password" });
+    else sendJson(res, 200, issueTokens(user));
+  } else if (pathname === "/auth/refresh") {
+    const user = refreshTokens.get(body.refresh_token);
+    refreshTokens.delete(body.refresh_token);
+    if (!user) sendJson(res, 401, { detail: "Invalid refresh token" });
+    else sendJson(res, 200, issueTokens(user));
+  } else if (pathname === "/auth/logout") {
+    refreshTokens.delete(body.refresh_token);
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+  } else {
+    sendJson(res, 404, { detail: "Not found" });
+  }
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(raw || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+// The cursor is the sort key of the last item on a page, so sessions created
+// while paging do not shift later pages.
+const byUpdate = (s) => `${s.updated_at}|${s.session_id}`;
+const ORDERS = {
+  newest: { key: byUpdate, descending: true },
+  oldest: { key: byUpdate, descending: false },
+  messages: { key: (s) => `${String(s.messages.length).padStart(6, "0")}|${byUpdate(s)}`, descending: true },
+  title: { key: (s) => `${(s.title || "").toLowerCase()}|${s.session_id}`, descending: false },
+};
+
+const listSessions = (searchParams, user) => {
+  const order = ORDERS[searchParams.get("sort")] || ORDERS.newest;
+  // Positive when `a` comes after `b` in the requested order.
+  const compare = (a, b) => (a === b ? 0 : (a > b) === order.descending ? -1 : 1);
+  if (LEGACY_LIST) {
+    const ids = [...sessions.values()].filter((s) => findSession(s.session_id, user)).sort((a, b) => byUpdate(b).localeCompare(byUpdate(a)));
+    return { sessions: ids.map((s) => s.session_id) };
+  }
+
+  const mode = searchParams.get("mode");
+  const updatedAfter = searchParams.get("updated_after");
+  const minMessages = Number(searchParams.get("min_messages")) || 0;
+  const list = [...sessions.values()]
+    .filter(
+      (s) =>
+        findSession(s.session_id, user) &&
+        (!mode || summary(s).mode === mode) &&
+        (!updatedAfter || s.updated_at >= updatedAfter) &&
+        s.messages.length >= minMessages
+    )
+    .sort((a, b) => compare(order.key(a), order.key(b)));
+  const limit = Number(searchParams.get("limit"));
+  if (!limit) return { sessions: list.map(summary) };
+
+  const cursor = searchParams.get("cursor");
+  const after = cursor ? Buffer.from(cursor, "base64url").toString() : null;
+  const rest = after ? list.filter((s) => compare(order.key(s), after) > 0) : list;
+  const page = rest.slice(0, limit);
+  const next = rest.length > limit ? Buffer.from(order.key(page[page.length - 1])).toString("base64url") : null;
+  return { sessions: page.map(summary), next_cursor: next };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Serialises one answer line as an SSE event; embedded newlines become
+// separate data lines as the spec requires.
+const sseEvent = (data, { id, event, eol = "\n" } = {}) => {
+  let out = "";
+  if (event) out += `event: ${event}${eol}`;
+  if (id !== undefined) out += `id: ${id}${eol}`;
+  for (const line of String(data).split("\n")) out += `data: ${line}${eol}`;
+  return out + eol;
+};
+
+const GENERATION_FIELDS = ["model", "system_prompt", "temperature", "top_p", "max_tokens"];
+
+// Attachments arrive as { name, type, size, data (base64), text? }; they are
+// kept with the prompt, so history returns them, and listed in the answer.
+const describeAttachments = (attachments) =>
+  attachments
+    .map(({ name, type, size, text }) => `- ${name} (${type}, ${size} bytes${text ? `, ${text.length} characters of text` : ""})`)
+    .join("\n");
+
+async function streamAnswer(req, res, { user, sessionId, message, isWebSearch, attachments = [], generation = {} }) {
+  const scenario = pickScenario(message);
+  if (scenario === "404" || (sessionId && sessions.has(sessionId) && !findSession(sessionId, user))) {
+    sendJson(res, 404, { detail: "Session not found" });
+    return;
+  }
+  if (scenario === "flaky") {
+    const attempts = (flakyAttempts.get(message) || 0) + 1;
+    flakyAttempts.set(message, attempts);
+    if (attempts <= 2) {
+      sendJson(res, 503, { detail: "Service warming up" });
+      return;
+    }
+    flakyAttempts.delete(message);
+  }
+
+  const lastEventId = req.headers["last-event-id"];
+  const resumeFrom = lastEventId !== undefined ? Number(lastEventId) + 1 : 0;
+  const session = sessionId ? getOrCreateSession(sessionId, message, user.id) : null;
+  // A resumed request repeats the original body; record the prompt only once.
+  if (session && resumeFrom === 0) {
+    const prompt = makeMessage("user", message, isWebSearch);
+    if (attachments.length) prompt.attachments = attachments.map(({ name, type, size, data }) => ({ name, type, size, data }));
+    session.messages.push(prompt);
+  }
+
+  const settings = GENERATION_FIELDS.filter((field) => field in generation);
+  if (settings.length) console.log("  with", Object.fromEntries(settings.map((field) => [field, generation[field]])));
+  const maxTokens = Number(generation.max_tokens) || Infinity;
+  if (attachments.length) console.log("  with attachments:", attachments.map((a) => a.name).join(", "));
+  const received = attachments.length ? `Received ${attachments.length} attachment(s):\n${describeAttachments(attachments)}\n\n` : "";
+  const lines = (received + answerFor(message, scenario, isWebSearch)).split("\n").slice(0, maxTokens);
+  const answer = lines.join("\n");
+  const delay = scenario === "slow" ? 400 : TOKEN_DELAY;
+  const eol = scenario === "malformed" ? "\r\n" : "\n";
+
+  let closed = false;
+  req.on("close", () => (closed = true));
+
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(`retry: 1000${eol}: mock stream (${scenario})${eol}${eol}`);
+
+  if (isWebSearch && resumeFrom === 0) {
+    res.write(sseEvent(JSON.stringify(SOURCES), { event: "sources", eol }));
+  }
+
+  if (scenario === "malformed") {
+    res.write(`bogus: field${eol}retry: soon${eol}id: bad\0id${eol}${eol}`);
+    res.write(sseEvent("{not json", { event: "sources", eol }));
+  }
+
+  for (let i = resumeFrom; i < lines.length; i++) {
+    if (closed) return;
+    if (i === Math.floor(lines.length / 2)) {
+      if (scenario === "drop" && resumeFrom === 0) {
+        res.socket.destroy();
+        return;
+      }
+      if (scenario === "fail") {
+        res.end(sseEvent("Mock failure mid-stream", { event: "error", eol }));
+        return;
+      }
+    }
+    res.write(sseEvent(lines[i], { id: i, eol }));
+    if (delay) await sleep(delay);
+  }
+
+  if (session) {
+    const reply = makeMessage("assistant", answer, isWebSearch);
+    if (isWebSearch) reply.sources = SOURCES;
+    session.messages.push(reply);
+    session.updated_at = new Date().toISOString();
+  }
+  res.end(sseEvent("[DONE]", { eol }));
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  const sessionMatch = pathname.match(/^\/sessions\/([^/]+)$/);
+  const chatMatch = pathname.match(/^\/chat\/([^/]+)$/);
+
+  console.log(req.method, pathname);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (pathname.startsWith("/auth/")) {
+    if (req.method === "POST") await handleAuth(req, res, pathname);
+    else sendJson(res, 405, { detail: "Method not allowed" });
+    return;
+  }
+  const user = authenticate(req);
+  if (!user) {
+    sendJson(res, 401, { detail: "Not authenticated" });
+    return;
+  }
+
+  if (req.method === "GET" && pathname === "/sessions") {
+    sendJson(res, 200, listSessions(searchParams, user));
+  } else if (sessionMatch && req.method === "GET") {
+    const session = findSession(decodeURIComponent(sessionMatch[1]), user);
+    if (!session) sendJson(res, 404, { detail: "Session not found" });
+    else sendJson(res, 200, { ...summary(session), messages: session.messages });
+  } else if (sessionMatch && req.method === "PATCH") {
+    const session = findSession(decodeURIComponent(sessionMatch[1]), user);
+    const body = await readBody(req);
+    if (!session) {
+      sendJson(res, 404, { detail: "Session not found" });
+    } else {
+      for (const field of ["title", "pinned", "folder"]) {
+        if (field in body) session[field] = body[field];
+      }
+      sendJson(res, 200, summary(session));
+    }
+  } else if (sessionMatch && req.method === "DELETE") {
+    const id = decodeURIComponent(sessionMatch[1]);
+    if (!findSession(id, user) || !sessions.delete(id)) sendJson(res, 404, { detail: "Session not found" });
+    else sendJson(res, 200, { status: "deleted", session_id: id });
+  } else if (chatMatch && req.method === "POST") {
+    const body = await readBody(req);
+    await streamAnswer(req, res, {
+      user,
+      sessionId: decodeURIComponent(chatMatch[1]),
+      message: body.message || "",
+      isWebSearch: false,
+      attachments: body.attachments || [],
+      generation: body,
+    });
+  } else if (req.method === "POST" && pathname === "/web_search") {
+    const body = await readBody(req);
+    await streamAnswer(req, res, {
+      user,
+      sessionId: body.session_id,
+      message: body.message || "",
+      isWebSearch: true,
+      attachments: body.attachments || [],
+      generation: body,
+    });
+  } else if (req.method === "GET" && pathname === "/models") {
+    sendJson(res, 200, { models: MODELS });
+  } else {
+    sendJson(res, 404, { detail: "Not found" });
+  }
+});
+
+seed();
+server.listen(PORT, () => {
+  console.log(`Mock Nova backend on http://localhost:${PORT}`);
+  console.log(`Scenarios (add #tag to a message): ${SCENARIOS.join(", ")}`);
+  if (AUTH) console.log(`Auth on: sign in as ${Object.keys(USERS).join(" or ")} with password "nova"`);
+});
@@ -1,20 +1,31 @@
-import { useState } from "react";
-import { Route, BrowserRouter as Router, Routes, Link } from "react-router-dom";
+import { Navigate, Route, BrowserRouter as Router, Routes } from "react-router-dom";
 import Home from "./components/Home.jsx";
 import Sessions from "./components/Sessions.jsx";
-import SessionDetail from "./components/SessionDetail.jsx";
+import Settings from "./components/Settings.jsx";
+import Login from "./components/Login.jsx";
+import AuthRedirect from "./components/AuthRedirect.jsx";
+import { Toaster } from "./ui/Toaster.jsx";
+import { ConfirmDialog } from "./ui/ConfirmDialog.jsx";
 
 export default function App() {
-  const [sessionId, setSessionId] = useState("");
-
   return (
     <Router>
       <Routes>
-        <Route path="/home" element={<Home sessionId={sessionId} setSessionId={setSessionId} />} />
+        {/* One chat instance for both URLs, so it survives a new chat
+            moving to /sessions/:id while its first answer streams. */}
+        <Route element={<Home />}>
+          <Route path="/" />
+          <Route path="/sessions/:id" />
+        </Route>
+        <Route path="/home" element={<Navigate to="/" replace />} />
         <Route path="/sessions" element={<Sessions />} />
-        <Route path="/sessions/:id" element={<SessionDetail setSessionId={setSessionId} />} />
-        <Route path="*" element={<Home sessionId={sessionId} setSessionId={setSessionId} />} />
+        <Route path="/settings" element={<Settings />} />
+        <Route path="/login" element={<Login />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
+      <AuthRedirect />
+      <Toaster />
+      <ConfirmDialog />
     </Router>
   );
 }
@@ -0,0 +1,48 @@
+import { formatSize, kindOf, previewOf, typeLabel } from "../utils/attachments";
+
+const ICONS = { pdf: "📕", text: "📄", image: "🖼️" };
+
+// Chips for a prompt's attachments: in the composer (pass `onRemove`) and in
+// the sent user bubble, where `onDark` suits the blue background. Chips with
+// `loading` set are files still being read.
+export default function Attachments({ attachments, onRemove, onDark = false }) {
+  if (!attachments?.length) return null;
+  return (
+    <ul className="flex flex-wrap gap-2 mb-2">
+      {attachments.map((attachment, i) => {
+        const preview = previewOf(attachment);
+        return (
+          <li
+            key={attachment.id || i}
+            title={attachment.name}
+            className={`flex items-center gap-2 max-w-xs rounded-lg border px-2 py-1 text-sm ${
+              onDark ? "border-white/30 bg-white/15 text-white" : "border-gray-300 bg-gray-50 text-gray-800"
+            }`}
+          >
+            {preview ? (
+              <img src={preview} alt="" className={`${onDark ? "h-16 w-16" : "h-8 w-8"} rounded object-cover`} />
+            ) : (
+              <span aria-hidden="true">{ICONS[attachment.kind || kindOf(attachment)] || "📎"}</span>
+            )}
+            <span className="min-w-0">
+              <span className="block truncate font-medium">{attachment.name}</span>
+              <span className={`block text-xs ${onDark ? "text-white/80" : "text-gray-500"}`}>
+                {attachment.loading ? "Reading…" : `${typeLabel(attachment)} · ${formatSize(attachment.size)}`}
+              </span>
+            </span>
+            {onRemove && (
+              <button
+                onClick={() => onRemove(attachment.id)}
+                className="ml-1 text-gray-400 hover:text-gray-700"
+                title={`Remove ${attachment.name}`}
+                aria-label={`Remove ${attachment.name}`}
+              >
+                ✕
+              </button>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
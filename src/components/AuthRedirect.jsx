@@ -0,0 +1,32 @@
+import { useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { subscribeAuth } from "../utils/auth";
+import { toast } from "../utils/toast";
+
+// Sends the user to the login page when the backend turns them away, and
+// remembers where they were. The redirect waits a task so the caller of the
+// failed request settles first: Chat keeps an unsent prompt as the draft and
+// may move a new chat back to "/".
+export default function AuthRedirect() {
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    let timer = null;
+    const unsubscribe = subscribeAuth((reason) => {
+      if ((reason !== "expired" && reason !== "required") || timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        const { pathname, search, hash } = window.location;
+        if (pathname === "/login") return;
+        if (reason === "expired") toast.info("Your session has expired. Please sign in again.");
+        navigate("/login", { state: { from: `${pathname}${search}${hash}` } });
+      });
+    });
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [navigate]);
+
+  return null;
+}
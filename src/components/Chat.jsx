@@ -1,133 +1,206 @@
-import { useState, useRef, useEffect } from "react";
-import ReactMarkdown from "react-markdown";
-import remarkMath from "remark-math";
-import rehypeKatex from "rehype-katex";
-import API_BASE from "../config";
-
-const preprocessText = (text) => {
-  if (!text) return "";
-
-  // Step 1: Clean up artifacts (remove extra spaces between characters, duplicate words)
-  text = text.replace(/\b(\w)\s+(\w)\s+(\w)\b/g, "$1$2$3"); // Fix spaced-out words like "W h e n"
-  text = text.replace(/,\s*(then|so)\b/g, "$1"); // Remove duplicate ",then" or ",so"
-
-  // Step 2: Normalize line endings
-  text = text.replace(/\r\n|\r/g, "\n");
-
-  // Step 3: Protect LaTeX equations (inline and display)
-  const latexPlaceholders = [];
-  text = text.replace(/(\$\$[\s\S]*?\$\$|\$[^\$]*?\$)/g, (match) => {
-    latexPlaceholders.push(match);
-    return `__LATEX_${latexPlaceholders.length - 1}__`;
-  });
-
-  // Step 4: Protect malformed LaTeX equations (e.g., "= ... $$")
-  text = text.replace(/=\s*([^\$]*?)\$\$/g, (match, content) => {
-    latexPlaceholders.push(`$${content}$`);
-    return `= __LATEX_${latexPlaceholders.length - 1}__`;
-  });
-
-  // Step 5: Protect potential LaTeX fragments (e.g., \frac, \pi, \int without delimiters)
-  text = text.replace(
-    /\\(frac|int|pi|psi|le|ge)\b(?:{[^{}]*})?(?:{[^{}]*})?/g,
-    (match) => {
-      latexPlaceholders.push(`$${match}$`);
-      return `__LATEX_${latexPlaceholders.length - 1}__`;
-    }
-  );
-
-  // Step 6: Protect quantum mechanics-specific patterns (e.g., u \frac{\pi x}{L})
-  text = text.replace(
-    /\b(u|du|dx)\s*\\frac\{([^}]*)\}\{([^}]*)\}/g,
-    (match, varName, num, denom) => {
-      latexPlaceholders.push(`$${varName} \\frac{${num}}{${denom}}$`);
-      return `__LATEX_${latexPlaceholders.length - 1}__`;
-    }
-  );
-
-  // Step 7: Remove spaces after ":" and "?" in bolded text (e.g., **Definite Integration: ** to **Definite Integration:**)
-  text = text.replace(
-    /(\*\*[^\*]+?)(:|\?)\s*(\*\*)/g,
-    "$1$2$3"
-  );
-
-  text = text.replace(
-    /([^\n])\n(?!\n|[*+]\s|\d+\.\s|#)/g,
-    "$1 "
-  );
-
-  // Step 8: Add newline for LaTeX equations following a colon
-  text = text.replace(
-    /(:)\s*(\$\$[\s\S]*?\$\$|\$[^\$]*?\$)/g,
-    "$1\n$2"
-  );
-
-  // Step 9: Remove spaces after "." and ":" in URLs
-  text = text.replace(
-    /(https?:\/\/[^\s<]*?)\s*([.:])\s*/g,
-    (match, url, punct) => `${url}${punct}`
-  );
-
-  // Step 10: Limit excessive newlines, but allow up to two for readability
-  text = text.replace(/\n{3,}/g, "\n\n");
-
-  // Step 11: Merge single newlines, but preserve sentence-like structures
-  text = text.replace(
-    /([^\n])\n(?!\n|[-*+]\s*(__LATEX_\d+__)?|\d+\.\s|#|\s*__LATEX_\d+__|\b(Let|When|Therefore|If|Then)\b|[.,:;]$)/g,
-    "$1 "
-  );
-
-  // Step 12: Trim leading/trailing whitespace
-  text = text.trim();
-
-  // Step 13: Format markdown elements
-  // Add newlines around headings
-  text = text.replace(/^(#+.*)$/gm, "\n\n$1\n\n");
-  // Add newlines after list items (before non-list content)
-  text = text.replace(/([-*+]\s.*)\n\n(?![-*+\d])/g, "$1\n\n\n");
-
-  // Step 14: Handle specific text replacements and bolding
-  text = text.replace(
-    /Dividing by \$A e\^\{i\(kx \\omega t\)\}\$:/g,
-    "**Dividing by $A e^{i(kx - \\omega t)}$:**"
-  );
-  text = text.replace(
-    /Dividing by \$A e\^\{i\(kx - \\omega t\)\}\$:/g,
-    "**Dividing by $A e^{i(kx - \\omega t)}$:**"
-  );
-
-  // Step 15: Restore LaTeX equations
-  text = text.replace(/__LATEX_(\d+)__/g, (_, index) => latexPlaceholders[index]);
-
-  // Step 16: Ensure spacing around inline equations
-  text = text.replace(/(\$[^\$]+\$)\s*([^\s\$])/g, "$1 $2"); // Space after
-  text = text.replace(/([^\s\$])\s*(\$[^\$]+\$)/g, "$1 $2"); // Space before
+import { useState, useRef, useEffect, useCallback, useMemo } from "react";
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
+import MessageRenderer from "./MessageRenderer.jsx";
+import SourcesPanel from "./SourcesPanel.jsx";
+import SessionList from "./SessionList.jsx";
+import SearchBox from "./SearchBox.jsx";
+import GenerationDrawer from "./GenerationDrawer.jsx";
+import Attachments from "./Attachments.jsx";
+import CommandPalette from "./CommandPalette.jsx";
+import VirtualList from "./VirtualList.jsx";
+import api, { getActiveProfile, getApiBase, subscribe } from "../utils/api";
+import {
+  loadDraft,
+  loadSessionData,
+  saveDraft,
+  saveSessionData,
+  storeAttachmentTexts,
+  withAttachmentTexts,
+  withStoredAttachments,
+  withStoredSources,
+} from "../utils/sessionData";
+import { getUser, logout, subscribeAuth } from "../utils/auth";
+import { displayTitle, updateSessionMeta, useSessionMeta } from "../utils/sessionMeta";
+import { deleteWithUndo, useSessionSummaries } from "../utils/sessionSummaries";
+import { fetchSessionHistory } from "../utils/importedSessions";
+import { sessionPath } from "../utils/sessionLinks";
+import { buildOutline } from "../utils/conversationOutline";
+import { ACCEPT, MAX_ATTACHMENTS, readAttachment, toRequestPart, withoutData } from "../utils/attachments";
+import { commandSuggestions, paletteCommands, parseCommand, runCommand } from "../utils/commands";
+import {
+  DEFAULT_GENERATION,
+  generationBadge,
+  generationParams,
+  isDefaultGeneration,
+  loadGeneration,
+  saveGeneration,
+} from "../utils/generationSettings";
+import { frameBatcher } from "../utils/frameBatcher";
+import { FORMATS, downloadSessions, toExportSession } from "../utils/conversationExport";
+import { isTransientError, withRetry } from "../utils/retry";
+import { toast } from "../utils/toast";
+import { confirmDialog } from "../utils/dialog";
+import {
+  cachedFetch,
+  enqueueOutbox,
+  flushOutbox,
+  historyConflicts,
+  isNetworkError,
+  isOffline,
+  readOutbox,
+} from "../utils/offlineCache";
+import {
+  activePath,
+  createMessageId,
+  emptyTree,
+  fromMessages,
+  mapMessages,
+  mergePath,
+  removeNodes,
+  selectSibling,
+  siblingInfo,
+  withIds,
+} from "../utils/branchTree";
 
-  // Step 17: Ensure display equations have proper spacing
-  text = text.replace(/^(\$\$.*\$\$)$/gm, "\n$1\n");
-
-  // Step 18: Clean up multiple consecutive newlines
-  text = text.replace(/\n{3,}/g, "\n\n");
+// A red bubble for a failed exchange. Retry resends the prompt before it;
+// `details` is what "Copy details" puts on the clipboard.
+function errorBubble(err, { endpoint, prompt, prefix = "" }) {
+  const timestamp = new Date().toISOString();
+  return {
+    id: createMessageId(),
+    role: "error",
+    content: `## Error\n\n${prefix}${err.message}`,
+    timestamp,
+    retryable: true,
+    details: [
+      `Error: ${err.message}`,
+      err.status !== undefined && `Status: ${err.status}`,
+      `Request: POST ${getApiBase()}${endpoint}`,
+      `Time: ${timestamp}`,
+      `Prompt: ${prompt}`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  };
+}
 
-  return text;
-};
+const contentByKey = (messages) => new Map(messages.map((m, i) => [m.id ?? i, m.content]));
 
-export default function Chat({ sessionId: propSessionId }) {
-  const [message, setMessage] = useState("");
+// The route is the source of truth for which session is open:
+// /sessions/:id shows that session, / a new chat, and a #message-n hash
+// scrolls to the n-th message. Picking a session navigates; the effects
+// below follow the URL, so back/forward and reloads land in the same place.
+export default function Chat() {
+  const { id: routeSessionId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  // A prompt left unsent when the chat was last closed, e.g. for the login page.
+  const [message, setMessage] = useState(() => loadDraft(routeSessionId));
   const [messages, setMessages] = useState([]);
-  const [sessionId, setSessionId] = useState(propSessionId || null);
+  const [attachments, setAttachments] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
   const [isWebSearch, setIsWebSearch] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [chatTitle, setChatTitle] = useState("New Chat");
-  const [sessions, setSessions] = useState([]);
+  const [highlightedSource, setHighlightedSource] = useState(null);
+  const [tree, setTree] = useState(emptyTree);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [conflict, setConflict] = useState(null);
+  const [focusId, setFocusId] = useState(null);
+  const [flashIndex, setFlashIndex] = useState(null);
+  // What each message said when the user scrolled away from the bottom, by
+  // message key; null while the view follows new messages.
+  const [pausedContent, setPausedContent] = useState(null);
+  const [outlineOpen, setOutlineOpen] = useState(false);
+  const [collapsedTurns, setCollapsedTurns] = useState(() => new Set());
+  const [exportOpen, setExportOpen] = useState(false);
+  const [generation, setGeneration] = useState(DEFAULT_GENERATION);
+  const [generationOpen, setGenerationOpen] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  // Composer text the user dismissed command suggestions for.
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(null);
+  const sessionMeta = useSessionMeta();
+  const {
+    sessions,
+    hasMore: hasMoreSessions,
+    loading: loadingSessions,
+    loadMore: loadMoreSessions,
+    refresh: fetchSessions,
+  } = useSessionSummaries();
+  const [backendLabel, setBackendLabel] = useState(() => getActiveProfile().label);
+  const [user, setUser] = useState(getUser);
   const abortControllerRef = useRef(null);
-  const messagesEndRef = useRef(null);
+  const messageListRef = useRef(null);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const draftRef = useRef(message);
+  draftRef.current = message;
+  const sessionIdRef = useRef(sessionId);
+  // One stable onCite per message position, so MessageRenderer's memo holds.
+  const citeHandlersRef = useRef(new Map());
+  const requestedSessionRef = useRef(null);
+  const deliveringRef = useRef(false);
+  // Imported sessions send their history along; the backend has not seen it.
+  const importedRef = useRef(false);
+  // Files added but not read yet, by the id of their chip.
+  const queuedFilesRef = useRef(new Map());
+
+  useEffect(() => {
+    sessionIdRef.current = sessionId;
+  }, [sessionId]);
+
+  // Follows the newest message unless the user has scrolled up to read. A
+  // history reload that brings nothing new leaves the position alone, so it
+  // does not undo a jump to a message.
+  const lastMessage = messages[messages.length - 1];
+  useEffect(() => {
+    if (messages.length && pausedContent === null) {
+      messageListRef.current?.scrollToIndex(messages.length - 1, { align: "end" });
+    }
+  }, [messages.length, lastMessage?.id, lastMessage?.content, pausedContent]);
 
+  // The list only mounts rows near the viewport, so jumps go by index.
+  const showMessage = (index) => {
+    messageListRef.current?.scrollToIndex(index, { align: "center" });
+    setFlashIndex(index);
+  };
+
+  const jumpToLatest = () => {
+    setPausedContent(null);
+    messageListRef.current?.scrollToIndex(messages.length - 1, { align: "end" });
+  };
+
+  // Scrolls to and flashes the linked message once it is loaded.
+  useEffect(() => {
+    if (!focusId) return;
+    const n = Number(focusId.slice("message-".length));
+    let ordinal = 0;
+    const index = messages.findIndex((m) => m.role !== "error" && ++ordinal === n);
+    if (index === -1) return;
+    showMessage(index);
+    setFocusId(null);
+  }, [messages, focusId]);
+
+  // `messages` is the active branch; fold every change back into the tree.
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    setTree((prev) => mergePath(prev, messages));
   }, [messages]);
 
+  // Persist branches once a response has settled, not on every token.
+  // Attachment data and text stay out of localStorage; thumbnails are kept.
+  useEffect(() => {
+    if (sessionId && !isLoading && tree.nodes.root.children.length) {
+      saveSessionData(
+        sessionId,
+        "branches",
+        mapMessages(tree, (m) => (m.attachments ? { ...m, attachments: m.attachments.map(withoutData) } : m))
+      );
+    }
+  }, [tree, sessionId, isLoading]);
+
   useEffect(() => {
     if (textareaRef.current) {
       textareaRef.current.style.height = "auto";
@@ -136,21 +209,46 @@ export default function Chat({ sessionId: propSessionId }) {
   }, [message]);
 
   useEffect(() => {
-    fetchSessions();
-    if (propSessionId) {
-      loadSession(propSessionId);
+    setFocusId(null);
+    setPausedContent(null);
+    setCollapsedTurns(new Set());
+    if (!routeSessionId) {
+      if (sessionIdRef.current) handleNewChat();
+      return;
     }
-  }, [propSessionId]);
+    // A new chat moves to its own URL after the first message; it is
+    // already on screen (and possibly streaming), so there is nothing to load.
+    if (routeSessionId === sessionIdRef.current) return;
+    abortControllerRef.current?.abort();
+    setIsLoading(false);
+    loadSessionRef.current(routeSessionId);
+  }, [routeSessionId]);
 
-  const fetchSessions = async () => {
-    try {
-      const res = await fetch(`${API_BASE}/sessions`);
-      const data = await res.json();
-      setSessions(data.sessions);
-    } catch (err) {
-      console.error("Error fetching sessions:", err);
-    }
-  };
+  useEffect(() => {
+    if (location.hash.startsWith("#message-")) setFocusId(location.hash.slice(1));
+  }, [location.hash, location.key]);
+
+  useEffect(() => () => saveDraft(sessionIdRef.current, draftRef.current), []);
+
+  useEffect(() => subscribeAuth(() => setUser(getUser())), []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setPaletteOpen((open) => !open);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // Sessions belong to a backend; switching profiles starts over on the new one.
+  useEffect(() => subscribe((profile) => {
+    setBackendLabel(profile.label);
+    handleNewChat();
+    navigate("/");
+  }), [navigate]);
 
   const generateSessionId = () => {
     return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -162,166 +260,518 @@ export default function Chat({ sessionId: propSessionId }) {
   };
 
   const handleNewChat = () => {
+    requestedSessionRef.current = null;
+    importedRef.current = false;
+    setConflict(null);
     setMessages([]);
+    setTree(emptyTree());
+    setEditingIndex(null);
     setSessionId(null);
+    sessionIdRef.current = null;
     setChatTitle("New Chat");
     setMessage("");
+    setAttachments([]);
     setIsWebSearch(false);
+    setGeneration(DEFAULT_GENERATION);
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
     setIsLoading(false);
   };
 
+  // Shows `history` (cached or fresh) for session `id`. `queued` holds the ids
+  // of messages still waiting in the outbox.
+  const applyHistory = (id, history, queued) => {
+    const serverMessages = withIds(withStoredAttachments(id, withStoredSources(id, history)));
+    // The server only keeps a linear history; local branches win as long
+    // as they account for everything the server has, and anything newer
+    // (sent from elsewhere) is appended to the active branch.
+    let stored = loadSessionData(id, "branches");
+    let nextTree;
+    if (stored?.nodes && stored.serverCount <= serverMessages.length) {
+      // Queued prompts that have been delivered since are now part of the
+      // server history; drop the local placeholders so they are not doubled.
+      const delivered = Object.values(stored.nodes)
+        .filter((node) => node.message?.pending && !queued.has(node.id))
+        .map((node) => node.id);
+      stored = removeNodes(stored, delivered);
+      const extra = serverMessages.slice(stored.serverCount);
+      nextTree = {
+        ...mergePath(stored, [...activePath(stored), ...extra]),
+        serverCount: serverMessages.length,
+      };
+    } else {
+      nextTree = fromMessages(serverMessages);
+    }
+    setTree(nextTree);
+    setMessages(activePath(nextTree));
+    setEditingIndex(null);
+    setSessionId(id);
+    sessionIdRef.current = id;
+    const firstUserMsg = history.find(m => m.role === "user")?.content || "Chat";
+    setChatTitle(generateChatTitle(firstUserMsg));
+    const lastMsg = history[history.length - 1];
+    setIsWebSearch(lastMsg ? !!lastMsg.is_web_search : false);
+    setGeneration(loadGeneration(id));
+  };
+
+  const handleGenerationChange = (next) => {
+    setGeneration(next);
+    saveGeneration(sessionIdRef.current, next);
+  };
+
+  // Renders the cached history straight away, then revalidates. If the server
+  // copy was edited elsewhere the user picks a side instead of us guessing.
   const loadSession = async (id) => {
+    requestedSessionRef.current = id;
+    setConflict(null);
     try {
-      const res = await fetch(`${API_BASE}/sessions/${id}`);
-      if (!res.ok) throw new Error("Failed to load session");
-      const data = await res.json();
-      setMessages(data.messages);
-      setSessionId(id);
-      const firstUserMsg = data.messages.find(m => m.role === "user")?.content || "Chat";
-      setChatTitle(generateChatTitle(firstUserMsg));
-      const lastMsg = data.messages[data.messages.length - 1];
-      setIsWebSearch(lastMsg ? !!lastMsg.is_web_search : false);
+      const queued = new Set((await readOutbox()).map((item) => item.messageId));
+      await cachedFetch(`history:${id}`, () => fetchSessionHistory(id), (data, { stale, previous }) => {
+        if (requestedSessionRef.current !== id) return;
+        importedRef.current = !!data.imported;
+        if (!stale && historyConflicts(previous?.messages, data.messages)) {
+          setConflict({ id, messages: data.messages });
+          return;
+        }
+        applyHistory(id, data.messages, queued);
+      });
     } catch (err) {
       console.error("Error loading session:", err);
-      alert("Failed to load session");
+      toast.error("Failed to load session", { action: { label: "Retry", onClick: () => loadSession(id) } });
     }
   };
 
-  const handleDelete = async (id, e) => {
-    if (e) e.stopPropagation();
-    if (!confirm("Are you sure you want to delete this session?")) return;
+  // For effects and callbacks that must not depend on it: route changes and
+  // the outbox delivery.
+  const loadSessionRef = useRef(loadSession);
+  loadSessionRef.current = loadSession;
+
+  const resolveConflict = (useServer) => {
+    if (!conflict) return;
+    if (useServer) {
+      saveSessionData(conflict.id, "branches", null);
+      applyHistory(conflict.id, conflict.messages, new Set());
+    } else {
+      // Keep what we show; only newer server messages get appended later.
+      setTree((prev) => ({ ...prev, serverCount: Math.min(prev.serverCount, conflict.messages.length) }));
+    }
+    setConflict(null);
+  };
+
+  const exportConversation = (format) => {
+    const title = displayTitle(sessionMeta, sessionId, chatTitle);
+    downloadSessions([toExportSession(sessionId, title, messages)], format);
+  };
+
+  const handleSignOut = async () => {
+    await logout();
+    navigate("/login");
+  };
+
+  // What slash commands and the palette act on; see utils/commands.
+  const commandContext = {
+    sessionId,
+    user,
+    webSearch: isWebSearch,
+    hasMessages: messages.length > 0,
+    navigate,
+    setWebSearch: setIsWebSearch,
+    newChat: ({ keepSettings = false } = {}) => {
+      const settings = generation;
+      handleNewChat();
+      navigate("/");
+      if (keepSettings) setGeneration(settings);
+    },
+    clear: async () => {
+      const confirmed =
+        !messages.length ||
+        (await confirmDialog({
+          title: "Clear this conversation?",
+          message: "A new chat starts with the same model and system prompt.",
+          confirmLabel: "Clear",
+          danger: true,
+        }));
+      if (confirmed) commandContext.newChat({ keepSettings: true });
+    },
+    rename: (title) => updateSessionMeta(sessionId, { title }),
+    exportAs: exportConversation,
+    setSystemPrompt: (systemPrompt) => handleGenerationChange({ ...generation, systemPrompt }),
+    openGenerationSettings: () => setGenerationOpen(true),
+    toggleOutline: () => setOutlineOpen((open) => !open),
+    signOut: handleSignOut,
+  };
+
+  // Runs a command, or starts it in the composer when its argument has yet
+  // to be typed (`arg` null).
+  const executeCommand = (command, arg) => {
+    if (arg === null) {
+      setMessage(`/${command.name} `);
+      textareaRef.current?.focus();
+      return;
+    }
     try {
-      const res = await fetch(`${API_BASE}/sessions/${id}`, { method: "DELETE" });
-      if (res.ok) {
-        setSessions(prev => prev.filter(s => s.session_id !== id));
-        if (sessionId === id) {
-          handleNewChat();
-        }
-      } else {
-        alert("Failed to delete session");
-      }
+      const confirmation = runCommand(command, commandContext, arg);
+      if (typeof confirmation === "string") toast.success(confirmation);
     } catch (err) {
-      console.error("Error deleting session:", err);
-      alert("Failed to delete session");
+      toast.error(err.message);
     }
   };
 
-  const handleSendMessage = async () => {
-    const rawMessage = message;
-    const cleanedMessage = preprocessText(rawMessage);
+  const suggestions = message === suggestionsDismissed ? [] : commandSuggestions(message, commandContext);
+  const activeSuggestion = suggestions[Math.min(suggestionIndex, suggestions.length - 1)];
 
-    if (!cleanedMessage || isLoading) return;
+  const acceptSuggestion = (suggestion, { run }) => {
+    setSuggestionIndex(0);
+    if (run && suggestion.arg !== null) {
+      setMessage("");
+      executeCommand(suggestion.command, suggestion.arg);
+    } else {
+      setMessage(suggestion.completion);
+      textareaRef.current?.focus();
+    }
+  };
 
-    let currentSessionId = sessionId;
-    if (!currentSessionId) {
-      currentSessionId = generateSessionId();
-      setSessionId(currentSessionId);
-      setChatTitle(generateChatTitle(cleanedMessage));
+  const paletteItems = paletteOpen
+    ? [
+        ...paletteCommands(commandContext).map((item) => ({
+          ...item,
+          group: "Commands",
+          onSelect: () => executeCommand(item.command, item.arg),
+        })),
+        ...sessions.map((s) => ({
+          key: `session:${s.id}`,
+          icon: "💬",
+          label: displayTitle(sessionMeta, s.id, s.title || s.prompt),
+          hint: s.id === sessionId ? "Current" : null,
+          group: "Sessions",
+          onSelect: () => navigate(sessionPath(s.id)),
+        })),
+      ]
+    : [];
+
+  const handleDelete = async (id, e) => {
+    if (e) e.stopPropagation();
+    const confirmed = await confirmDialog({
+      title: "Delete this session?",
+      message: "It can be restored from the notification for a few seconds.",
+      confirmLabel: "Delete",
+      danger: true,
+    });
+    if (!confirmed) return;
+    deleteWithUndo([id]);
+    if (sessionId === id) {
+      handleNewChat();
+      navigate("/", { replace: true });
     }
+  };
 
-    const endpoint = isWebSearch ? "/web_search" : `/chat/${currentSessionId}`;
-    const userMessage = {
-      role: "user",
-      content: cleanedMessage,
-      is_web_search: isWebSearch ? 1 : 0,
-      timestamp: new Date().toISOString(),
-    };
+  const attachmentsReady = attachments.every((a) => !a.loading);
+  const canSend = (!!message.trim() || attachments.length > 0) && attachmentsReady;
+
+  const handleSendMessage = () => {
+    // User text is sent and shown as typed; only assistant output is reformatted.
+    const cleanedMessage = message.trim();
+
+    if (!canSend || isLoading) return;
+
+    const slash = parseCommand(cleanedMessage);
+    if (slash) {
+      setMessage("");
+      executeCommand(slash.command, slash.arg);
+      return;
+    }
 
-    setMessages((prev) => [...prev, userMessage]);
     setMessage("");
-    setIsLoading(true);
+    setAttachments([]);
+    // "//" sends a message that starts with a slash.
+    const text = cleanedMessage.startsWith("//") ? cleanedMessage.slice(1) : cleanedMessage;
+    sendExchange(text, { base: messages, webSearch: isWebSearch, files: attachments });
+  };
 
-    if (abortControllerRef.current) abortControllerRef.current.abort();
+  // Files from the picker, a drop or the clipboard. Each shows as a chip
+  // straight away and is filled in once read; files that cannot be
+  // attached are dropped with a toast. Room is counted on the latest list,
+  // so drops in quick succession cannot go over MAX_ATTACHMENTS.
+  const addFiles = (fileList) => {
+    const queued = [...fileList].map((file) => ({ id: createMessageId(), file }));
+    queued.forEach(({ id, file }) => queuedFilesRef.current.set(id, file));
+    setAttachments((prev) => [
+      ...prev,
+      ...queued
+        .slice(0, Math.max(0, MAX_ATTACHMENTS - prev.length))
+        .map(({ id, file }) => ({ id, name: file.name, type: file.type, size: file.size, loading: true })),
+    ]);
+  };
 
-    const controller = new AbortController();
-    abortControllerRef.current = controller;
+  // Reads the queued files whose chip made it into the list.
+  useEffect(() => {
+    const queued = queuedFilesRef.current;
+    if (!queued.size) return;
+    const listed = new Set(attachments.map((a) => a.id));
+    let dropped = 0;
+    for (const [id, file] of queued) {
+      queued.delete(id);
+      if (!listed.has(id)) {
+        dropped += 1;
+        continue;
+      }
+      readAttachment(file)
+        .then((attachment) => setAttachments((prev) => prev.map((a) => (a.id === id ? { ...attachment, id } : a))))
+        .catch((err) => {
+          setAttachments((prev) => prev.filter((a) => a.id !== id));
+          toast.error(`${file.name}: ${err.message}`);
+        });
+    }
+    if (dropped) toast.error(`At most ${MAX_ATTACHMENTS} files can be attached to a message`);
+  }, [attachments]);
 
-    try {
-      const response = await fetch(`${API_BASE}${endpoint}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Accept: "text/event-stream",
-        },
-        body: JSON.stringify({
-          message: cleanedMessage,
-          session_id: currentSessionId,
-        }),
-        signal: controller.signal,
-      });
+  const removeAttachment = (id) => setAttachments((prev) => prev.filter((a) => a.id !== id));
 
-      if (!response.ok) throw new Error(`Request failed: ${response.status}`);
+  // Pasted files (e.g. screenshots) become attachments. Anything that comes
+  // with text, like a selection copied from a document, pastes as text.
+  // Clipboard images arrive as "image.png".
+  const handlePaste = (e) => {
+    const files = [...e.clipboardData.files];
+    if (!files.length || e.clipboardData.getData("text/plain")) return;
+    e.preventDefault();
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+    addFiles(
+      files.map((file) =>
+        file.name === "image.png" ? new File([file], `pasted-${stamp}.png`, { type: file.type }) : file
+      )
+    );
+  };
 
-      setMessages((prev) => [
-        ...prev,
-        {
-          role: "assistant",
-          content: "",
-          is_web_search: isWebSearch ? 1 : 0,
-          timestamp: new Date().toISOString(),
-        },
-      ]);
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!isLoading && e.dataTransfer.files.length) addFiles(e.dataTransfer.files);
+  };
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-      let accumulatedContent = "";
+  // Edit & resend: the new prompt becomes a sibling of the original one.
+  const handleEditSubmit = (index) => {
+    const text = editText.trim();
+    setEditingIndex(null);
+    if ((!text && !messages[index].attachments?.length) || isLoading) return;
+    sendExchange(text, {
+      base: messages.slice(0, index),
+      webSearch: !!messages[index].is_web_search,
+      files: messages[index].attachments,
+      branch: true,
+    });
+  };
 
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
+  // Regenerate: same prompt, the new answer becomes a sibling of this one.
+  const handleRegenerate = (index) => {
+    const prompt = messages[index - 1];
+    if (isLoading || prompt?.role !== "user") return;
+    sendExchange(prompt.content, {
+      base: messages.slice(0, index - 1),
+      webSearch: !!prompt.is_web_search,
+      existingUser: prompt,
+      branch: true,
+    });
+  };
 
-        const chunk = decoder.decode(value, { stream: true });
-        buffer += chunk;
+  const handleSwitchBranch = (id, delta) => {
+    if (isLoading) return;
+    const next = selectSibling(tree, id, delta);
+    setTree(next);
+    setMessages(activePath(next));
+  };
 
-        const parts = buffer.split("\n\n");
-        buffer = parts.pop() || "";
+  // Resends the prompt an error bubble belongs to, to the same endpoint. The
+  // failed attempt (bubble and any partial answer) is dropped from the tree.
+  const handleRetry = (index) => {
+    let promptIndex = index - 1;
+    while (promptIndex >= 0 && messages[promptIndex].role !== "user") promptIndex--;
+    const prompt = messages[promptIndex];
+    if (isLoading || !prompt) return;
+    const failed = messages.slice(promptIndex + 1, index + 1).map((m) => m.id);
+    setTree((prev) => removeNodes(prev, failed));
+    sendExchange(prompt.content, {
+      base: messages.slice(0, promptIndex),
+      webSearch: !!prompt.is_web_search,
+      existingUser: { ...prompt, pending: false },
+    });
+  };
 
-        for (const part of parts) {
-          const trimmed = part.trim();
-          if (!trimmed.startsWith("data:")) continue;
+  // Sends `text` as the next turn after `base` and streams the answer.
+  // `existingUser` reuses a prompt already in the tree (regenerate); `branch`
+  // also sends the active history so a backend that supports it can answer
+  // from this branch rather than its own linear log.
+  const sendExchange = async (
+    text,
+    { base, webSearch, existingUser, branch = false, files = existingUser?.attachments || [] }
+  ) => {
+    let currentSessionId = sessionId;
+    if (!currentSessionId) {
+      currentSessionId = generateSessionId();
+      setSessionId(currentSessionId);
+      sessionIdRef.current = currentSessionId;
+      setChatTitle(generateChatTitle(text || files[0].name));
+      navigate(sessionPath(currentSessionId), { replace: true });
+      if (!isDefaultGeneration(generation)) saveGeneration(currentSessionId, generation);
+    }
 
-          const data = trimmed.slice(5).trim();
-          if (data === "[DONE]") continue;
+    const endpoint = webSearch ? "/web_search" : `/chat/${currentSessionId}`;
+    const assistantOrdinal = base.filter((m) => m.role === "assistant").length;
+    const userMessage = existingUser || {
+      id: createMessageId(),
+      role: "user",
+      content: text,
+      is_web_search: webSearch ? 1 : 0,
+      timestamp: new Date().toISOString(),
+      ...(files.length && { attachments: files }),
+    };
+    if (files.length && !existingUser) {
+      saveSessionData(currentSessionId, "attachments", {
+        ...loadSessionData(currentSessionId, "attachments", {}),
+        [base.filter((m) => m.role === "user").length]: files.map(withoutData),
+      });
+      storeAttachmentTexts(currentSessionId, files);
+    }
 
-          accumulatedContent += data + "\n";
+    setMessages([...base, userMessage]);
+    // Sending means the user wants to see the answer.
+    setPausedContent(null);
 
-          setMessages((prev) => {
-            const last = prev[prev.length - 1];
-            if (last.role === "assistant") {
-              return [
-                ...prev.slice(0, -1),
-                { ...last, content: preprocessText(accumulatedContent) },
-              ];
-            }
-            return prev;
-          });
-        }
-      }
+    // Prompts reloaded from local history get their attachments' text back.
+    const parts = files.length ? (await withAttachmentTexts(currentSessionId, files)).map(toRequestPart) : [];
+    const body = {
+      message: text,
+      session_id: currentSessionId,
+      ...generationParams(generation),
+      ...(parts.length && { attachments: parts }),
+      ...((branch || importedRef.current) && {
+        history: base
+          .filter((m) => m.role === "user" || m.role === "assistant")
+          .map(({ role, content }) => ({ role, content })),
+      }),
+    };
 
+    // Plain sends made while offline wait in the outbox; edits and
+    // regenerations depend on the live branch, so those still fail loudly.
+    const queue = async () => {
+      setMessages((prev) => prev.map((m) => (m.id === userMessage.id ? { ...m, pending: true } : m)));
+      await enqueueOutbox({
+        endpoint,
+        body,
+        sessionId: currentSessionId,
+        messageId: userMessage.id,
+        assistantOrdinal,
+      });
+    };
+    if (!branch && isOffline()) {
+      await queue();
+      return;
+    }
+
+    setIsLoading(true);
+
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const updateAssistant = (patch) => {
       setMessages((prev) => {
         const last = prev[prev.length - 1];
         if (last.role === "assistant") {
-          return [
-            ...prev.slice(0, -1),
-            { ...last, content: preprocessText(accumulatedContent) },
-          ];
+          return [...prev.slice(0, -1), { ...last, ...patch }];
         }
         return prev;
       });
-    } catch (err) {
-      if (err.name !== "AbortError") {
-        setMessages((prev) => [
-          ...prev,
-          {
-            role: "error",
-            content: `## Error\n\n${err.message}`,
-            timestamp: new Date().toISOString(),
+    };
+
+    const updateUser = (patch) => {
+      setMessages((prev) => prev.map((m) => (m.id === userMessage.id ? { ...m, ...patch } : m)));
+    };
+
+    let opened = false;
+    let accumulatedContent = "";
+    const renderTokens = frameBatcher(() => updateAssistant({ content: accumulatedContent }));
+    try {
+
+      // Failures before the stream opens (cold start, flaky network) are
+      // retried with backoff; once tokens flow, the stream resumes itself.
+      await withRetry(() => api.stream(endpoint, {
+        body,
+        signal: controller.signal,
+        handlers: {
+          onOpen: () => {
+            opened = true;
+            updateUser({ retrying: null });
+            setMessages((prev) => [
+              ...prev,
+              {
+                id: createMessageId(),
+                role: "assistant",
+                content: "",
+                is_web_search: webSearch ? 1 : 0,
+                timestamp: new Date().toISOString(),
+              },
+            ]);
+          },
+          onSources: (sources) => {
+            updateAssistant({ sources });
+            saveSessionData(currentSessionId, "sources", {
+              ...loadSessionData(currentSessionId, "sources", {}),
+              [assistantOrdinal]: sources,
+            });
           },
-        ]);
+          onToken: (data) => {
+            accumulatedContent += data + "\n";
+            renderTokens.schedule();
+          },
+          onReconnecting: () => {
+            updateAssistant({ reconnecting: true });
+          },
+          onReconnected: () => {
+            updateAssistant({ reconnecting: false });
+          },
+          onError: (err) => {
+            throw err;
+          },
+          onParseError: (err) => {
+            console.warn("SSE parse error:", err.message, err.line);
+          },
+        },
+      }), {
+        signal: controller.signal,
+        shouldRetry: (err) => !opened && isTransientError(err) && !isOffline(),
+        onRetry: ({ attempt, delay }) => updateUser({ retrying: { attempt, delay } }),
+      });
+
+      renderTokens.cancel();
+      updateAssistant({ content: accumulatedContent });
+      // The server appended this prompt and answer to its linear history.
+      setTree((prev) => ({ ...prev, serverCount: prev.serverCount + 2 }));
+    } catch (err) {
+      // An aborted stream belongs to a conversation that is no longer shown.
+      if (err.name === "AbortError") renderTokens.cancel();
+      else renderTokens.flush();
+      updateAssistant({ reconnecting: false });
+      updateUser({ retrying: null });
+      if (!branch && !opened && isNetworkError(err) && isOffline()) {
+        await queue();
+      } else if (err.status === 401 && !existingUser) {
+        // The login page is next (see AuthRedirect); the prompt waits there
+        // as the draft. A new chat the server never saw goes back to "/".
+        setMessages(base);
+        setMessage(text);
+        setAttachments(files);
+        draftRef.current = text;
+        if (!sessionId) {
+          setSessionId(null);
+          sessionIdRef.current = null;
+          setChatTitle("New Chat");
+          navigate("/", { replace: true });
+        }
+        saveDraft(sessionId, text);
+      } else if (err.name !== "AbortError") {
+        setMessages((prev) => [...prev, errorBubble(err, { endpoint, prompt: text })]);
       }
     } finally {
       setIsLoading(false);
@@ -332,6 +782,69 @@ export default function Chat({ sessionId: propSessionId }) {
     }
   };
 
+  // Sends queued messages in order. The answers are not streamed into view;
+  // the current session is simply reloaded once its messages went through.
+  const deliverOutbox = useCallback(async () => {
+    if (deliveringRef.current || isOffline()) return;
+    deliveringRef.current = true;
+    const touched = new Set();
+    try {
+      await flushOutbox(
+        async (item) => {
+          await api.stream(item.endpoint, {
+            body: item.body,
+            handlers: {
+              onSources: (sources) => {
+                saveSessionData(item.sessionId, "sources", {
+                  ...loadSessionData(item.sessionId, "sources", {}),
+                  [item.assistantOrdinal]: sources,
+                });
+              },
+              onError: (err) => {
+                throw err;
+              },
+            },
+          });
+          touched.add(item.sessionId);
+        },
+        {
+          onFailed: (item, err) => {
+            if (item.sessionId !== sessionIdRef.current) return;
+            setMessages((prev) => {
+              const at = prev.findIndex((m) => m.id === item.messageId);
+              if (at === -1) return prev;
+              const next = [...prev];
+              next[at] = { ...prev[at], pending: false };
+              next.splice(
+                at + 1,
+                0,
+                errorBubble(err, {
+                  endpoint: item.endpoint,
+                  prompt: item.body.message,
+                  prefix: "Queued message could not be sent: ",
+                })
+              );
+              return next;
+            });
+          },
+        }
+      );
+    } finally {
+      deliveringRef.current = false;
+    }
+    if (touched.size) {
+      fetchSessions();
+      if (touched.has(sessionIdRef.current)) loadSessionRef.current(sessionIdRef.current);
+    }
+  }, [fetchSessions]);
+
+  // Queued messages go out as soon as the browser is back online.
+  useEffect(() => {
+    deliverOutbox();
+    window.addEventListener("online", deliverOutbox);
+    return () => window.removeEventListener("online", deliverOutbox);
+  }, [deliverOutbox]);
+
   const handleCancel = () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
@@ -345,7 +858,10 @@ export default function Chat({ sessionId: propSessionId }) {
         if (last.content.trim() === "") {
           newMessages.pop();
         } else {
-          last.content += "\n\n[Generation cancelled]";
+          newMessages[newMessages.length - 1] = {
+            ...last,
+            content: last.content + "\n\n[Generation cancelled]",
+          };
         }
       }
       return newMessages;
@@ -353,17 +869,88 @@ export default function Chat({ sessionId: propSessionId }) {
   };
 
   const handleKeyDown = (e) => {
+    if (activeSuggestion) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setSuggestionIndex((suggestions.indexOf(activeSuggestion) + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === "Tab" || (e.key === "Enter" && !e.shiftKey)) {
+        e.preventDefault();
+        acceptSuggestion(activeSuggestion, { run: e.key === "Enter" });
+        return;
+      }
+      if (e.key === "Escape") {
+        e.preventDefault();
+        setSuggestionsDismissed(message);
+        return;
+      }
+    }
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       handleSendMessage();
     }
   };
 
-  const copyToClipboard = async (text) => {
+  // Error bubbles are local, so anchors count only the real conversation and
+  // line up with the server history a shared link is opened against.
+  const ordinals = [];
+  let ordinal = 0;
+  for (const m of messages) ordinals.push(m.role === "error" ? null : ++ordinal);
+
+  // Row keys change only when rows are added, removed or replaced, not with
+  // every streamed token, so VirtualList's offsets stay memoized while an
+  // answer streams in. Estimates read the latest messages through a ref.
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+  const rowIds = messages.map((m, i) => m.id ?? i).join("\n");
+  const rowKeys = useMemo(() => rowIds.split("\n"), [rowIds]);
+  const messageKey = useCallback((index) => rowKeys[index], [rowKeys]);
+
+  // Row height until a message is measured: its text wrapped at about 80
+  // characters a line, plus the bubble's padding and footer, and a row of
+  // attachment chips.
+  const estimateMessageHeight = useCallback((index) => {
+    const m = messagesRef.current[index];
+    return 96 + Math.ceil((m.content?.length || 0) / 80) * 22 + (m.attachments ? 80 : 0);
+  }, []);
+  // Messages added, or streamed into, since the user scrolled up.
+  const unseenCount = pausedContent
+    ? messages.filter((m, i) => pausedContent.get(m.id ?? i) !== m.content).length
+    : 0;
+
+  // Outline entries grouped by turn: each prompt with the headings of the
+  // answers that follow it. Answers before the first prompt (imports) get a
+  // turn of their own.
+  const outlineTurns = [];
+  for (const entry of buildOutline(messages)) {
+    if (entry.level === 0 || !outlineTurns.length) {
+      outlineTurns.push({ index: entry.index, text: entry.level === 0 ? entry.text : "Conversation start", headings: [] });
+    }
+    if (entry.level > 0) outlineTurns[outlineTurns.length - 1].headings.push(entry);
+  }
+
+  const toggleTurn = (index) =>
+    setCollapsedTurns((prev) => {
+      const next = new Set(prev);
+      if (!next.delete(index)) next.add(index);
+      return next;
+    });
+
+  const citeHandler = (index) => {
+    const handlers = citeHandlersRef.current;
+    if (!handlers.has(index)) handlers.set(index, (n) => setHighlightedSource({ index, n }));
+    return handlers.get(index);
+  };
+
+  const copyToClipboard = async (text, confirmation) => {
     try {
       await navigator.clipboard.writeText(text);
+      if (confirmation) toast.success(confirmation);
     } catch (err) {
       console.error('Failed to copy text: ', err);
+      toast.error("Could not copy to the clipboard");
     }
   };
 
@@ -387,7 +974,10 @@ export default function Chat({ sessionId: propSessionId }) {
         }}>
           <h2 style={{ fontSize: '18px', fontWeight: '600', color: '#1f2937' }}>Recent Chats</h2>
           <button
-            onClick={handleNewChat}
+            onClick={() => {
+              handleNewChat();
+              navigate("/");
+            }}
             style={{
               backgroundColor: '#3b82f6',
               color: '#ffffff',
@@ -404,44 +994,55 @@ export default function Chat({ sessionId: propSessionId }) {
             New Chat
           </button>
         </div>
-        <div style={{ flex: 1, overflowY: 'auto' }}>
-          {sessions.map((s) => (
-            <div
-              key={s.session_id}
-              style={{
-                display: 'flex',
-                alignItems: 'center',
-                padding: '12px 16px',
-                cursor: 'pointer',
-                backgroundColor: sessionId === s.session_id ? '#f3f4f6' : 'transparent',
-                transition: 'background-color 0.2s'
-              }}
-              onClick={() => loadSession(s.session_id)}
-              onMouseOver={(e) => e.currentTarget.style.backgroundColor = sessionId === s.session_id ? '#f3f4f6' : '#f9fafb'}
-              onMouseOut={(e) => e.currentTarget.style.backgroundColor = sessionId === s.session_id ? '#f3f4f6' : 'transparent'}
-            >
-              <span style={{ flex: 1, fontSize: '14px', color: '#374151', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                {s.title}
-              </span>
-              <button
-                onClick={(e) => handleDelete(s.session_id, e)}
-                style={{
-                  background: 'none',
-                  border: 'none',
-                  color: '#ef4444',
-                  padding: '4px',
-                  cursor: 'pointer',
-                  borderRadius: '4px',
-                  transition: 'background-color 0.2s'
-                }}
-                onMouseOver={(e) => e.target.style.backgroundColor = '#fee2e2'}
-                onMouseOut={(e) => e.target.style.backgroundColor = 'transparent'}
-              >
-                🗑️
-              </button>
-            </div>
-          ))}
+        <SearchBox compact onOpen={({ sessionId: id, index }) => navigate(sessionPath(id, index + 1))} />
+        <div style={{ flex: 1, position: 'relative' }}>
+          <SessionList
+            compact
+            sessions={sessions.map((s) => ({ id: s.id, title: s.title || s.prompt }))}
+            activeId={sessionId}
+            onSelect={(id) => navigate(sessionPath(id))}
+            onDelete={handleDelete}
+            hasMore={hasMoreSessions}
+            loading={loadingSessions}
+            onEndReached={loadMoreSessions}
+            className="absolute inset-0"
+          />
+        </div>
+        <div style={{
+          padding: '12px 16px',
+          borderTop: '1px solid #e5e7eb',
+          fontSize: '13px',
+          color: '#6b7280',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between'
+        }}>
+          <span title={getApiBase()}>Backend: {backendLabel}</span>
+          <Link to="/settings" style={{ color: '#3b82f6', textDecoration: 'none' }}>
+            ⚙️ Settings
+          </Link>
         </div>
+        {user && (
+          <div style={{
+            padding: '0 16px 12px',
+            fontSize: '13px',
+            color: '#374151',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '8px'
+          }}>
+            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={user.username}>
+              👤 {user.name || user.username}
+            </span>
+            <button
+              onClick={handleSignOut}
+              style={{ background: 'none', border: 'none', color: '#3b82f6', cursor: 'pointer', fontSize: '13px', padding: 0 }}
+            >
+              Sign out
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Main Content */}
@@ -456,7 +1057,7 @@ export default function Chat({ sessionId: propSessionId }) {
           gap: '12px'
         }}>
           <h1 style={{ fontSize: '20px', fontWeight: '600', color: '#1f2937', margin: 0 }}>
-            {chatTitle}
+            {displayTitle(sessionMeta, sessionId, chatTitle)}
           </h1>
           <span style={{
             fontSize: '12px',
@@ -468,199 +1069,555 @@ export default function Chat({ sessionId: propSessionId }) {
           }}>
             {isWebSearch ? "🌐 Web Search" : "💬 Chat"}
           </span>
+          <button
+            onClick={() => setGenerationOpen(true)}
+            style={{
+              fontSize: '12px',
+              backgroundColor: generationBadge(generation) ? '#eef2ff' : '#f3f4f6',
+              color: generationBadge(generation) ? '#3730a3' : '#374151',
+              border: 'none',
+              padding: '4px 12px',
+              borderRadius: '9999px',
+              fontWeight: '500',
+              maxWidth: '320px',
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap',
+              cursor: 'pointer'
+            }}
+            title="Model, system prompt and generation settings for this chat"
+          >
+            ⚙️ {generationBadge(generation) || "Default model"}
+          </button>
+          {messages.length > 0 && (
+            <button
+              onClick={() => setOutlineOpen((open) => !open)}
+              style={{
+                marginLeft: 'auto',
+                background: outlineOpen ? '#eef2ff' : 'none',
+                border: '1px solid #e5e7eb',
+                borderRadius: '6px',
+                padding: '4px 10px',
+                fontSize: '13px',
+                color: '#374151',
+                cursor: 'pointer'
+              }}
+              title={outlineOpen ? "Hide the outline" : "Show an outline of this conversation"}
+            >
+              📑 Outline
+            </button>
+          )}
+          {messages.length > 0 && (
+            <div style={{ position: 'relative' }}>
+              <button
+                onClick={() => setExportOpen((open) => !open)}
+                style={{
+                  background: 'none',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '6px',
+                  padding: '4px 10px',
+                  fontSize: '13px',
+                  color: '#374151',
+                  cursor: 'pointer'
+                }}
+                title="Export this conversation"
+              >
+                ⬇️ Export
+              </button>
+              {exportOpen && (
+                <div style={{
+                  position: 'absolute',
+                  right: 0,
+                  top: '100%',
+                  marginTop: '4px',
+                  backgroundColor: '#ffffff',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '8px',
+                  boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+                  zIndex: 10,
+                  minWidth: '140px'
+                }}>
+                  {Object.entries(FORMATS).map(([format, { label }]) => (
+                    <button
+                      key={format}
+                      onClick={() => {
+                        setExportOpen(false);
+                        exportConversation(format);
+                      }}
+                      style={{
+                        display: 'block',
+                        width: '100%',
+                        textAlign: 'left',
+                        background: 'none',
+                        border: 'none',
+                        padding: '8px 12px',
+                        fontSize: '13px',
+                        color: '#374151',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
-        {/* Messages */}
-        <div style={{
-          flex: 1,
-          overflowY: 'auto',
-          padding: '24px',
-          maxWidth: '1024px',
-          margin: '0 auto',
-          width: '100%',
-          boxSizing: 'border-box'
-        }}>
-          {messages.length === 0 ? (
-            <div style={{
-              textAlign: 'center',
-              marginTop: '25%',
-              color: '#6b7280'
-            }}>
-              <div style={{ fontSize: '48px', marginBottom: '16px' }}>💬</div>
-              <h2 style={{ fontSize: '24px', fontWeight: '600', color: '#1f2937' }}>
-                Start a conversation
-              </h2>
-              <p style={{ fontSize: '16px' }}>
-                Ask anything or toggle web search for real-time info
-              </p>
-            </div>
-          ) : (
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
-              {messages.map((msg, index) => (
-                <div
-                  key={index}
-                  style={{
-                    display: 'flex',
-                    justifyContent: msg.role === "user" ? 'flex-end' : 'flex-start'
-                  }}
+        <div style={{ flex: 1, minHeight: 0, display: 'flex' }}>
+          {/* Messages */}
+          <div style={{
+            flex: 1,
+            minHeight: 0,
+            display: 'flex',
+            flexDirection: 'column',
+            maxWidth: '1024px',
+            margin: '0 auto',
+            width: '100%',
+            position: 'relative'
+          }}>
+            {conflict && (
+              <div style={{
+                backgroundColor: '#fffbeb',
+                border: '1px solid #fcd34d',
+                color: '#92400e',
+                borderRadius: '8px',
+                padding: '12px 16px',
+                margin: '24px 24px 0',
+                fontSize: '14px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                flexWrap: 'wrap'
+              }}>
+                <span style={{ flex: 1 }}>
+                  ⚠️ This conversation changed on the server since it was cached.
+                </span>
+                <button
+                  onClick={() => resolveConflict(true)}
+                  style={{ backgroundColor: '#f59e0b', color: '#ffffff', border: 'none', borderRadius: '6px', padding: '4px 10px', cursor: 'pointer' }}
                 >
-                  <div style={{
-                    maxWidth: '70%',
-                    padding: '16px',
-                    borderRadius: '12px',
-                    backgroundColor: msg.role === "user" ? (msg.is_web_search ? '#3b82f6' : '#4f46e5') :
-                                    msg.role === "error" ? '#fef2f2' :
-                                    msg.is_web_search ? '#eff6ff' : '#ffffff',
-                    color: msg.role === "user" ? '#ffffff' : msg.role === "error" ? '#dc2626' : '#1f2937',
-                    border: msg.role === "error" ? '2px solid #ef4444' :
-                            msg.is_web_search && msg.role !== "user" ? '1px solid #bfdbfe' :
-                            msg.role !== "user" ? '1px solid #e5e7eb' : 'none',
-                    boxShadow: '0 2px 4px rgba(0,0,0,0.05)',
-                    position: 'relative',
-                    fontSize: '15px',
-                    lineHeight: '1.5'
-                  }}>
-                    {msg.is_web_search && msg.role !== "user" && (
-                      <div style={{
-                        fontSize: '13px',
-                        color: '#2563eb',
-                        marginBottom: '8px',
-                        fontWeight: '500',
+                  Use server version
+                </button>
+                <button
+                  onClick={() => resolveConflict(false)}
+                  style={{ background: 'none', border: '1px solid #f59e0b', color: '#92400e', borderRadius: '6px', padding: '4px 10px', cursor: 'pointer' }}
+                >
+                  Keep local copy
+                </button>
+              </div>
+            )}
+            {messages.length === 0 ? (
+              <div style={{
+                textAlign: 'center',
+                padding: '24px',
+                marginTop: '25%',
+                color: '#6b7280'
+              }}>
+                <div style={{ fontSize: '48px', marginBottom: '16px' }}>💬</div>
+                <h2 style={{ fontSize: '24px', fontWeight: '600', color: '#1f2937' }}>
+                  Start a conversation
+                </h2>
+                <p style={{ fontSize: '16px' }}>
+                  Ask anything or toggle web search for real-time info
+                </p>
+              </div>
+            ) : (
+              <VirtualList
+                ref={messageListRef}
+                count={messages.length}
+                estimateHeight={estimateMessageHeight}
+                getKey={messageKey}
+                onAtEndChange={(atEnd) => setPausedContent((paused) => (atEnd ? null : paused ?? contentByKey(messages)))}
+                style={{ flex: 1, padding: '24px' }}
+                renderItem={(index) => {
+                  const msg = messages[index];
+                  return (
+                    <div
+                      style={{
                         display: 'flex',
-                        alignItems: 'center',
-                        gap: '6px'
-                      }}>
-                        🌐 Web Search Results
+                        paddingBottom: index < messages.length - 1 ? '16px' : 0,
+                        justifyContent: msg.role === "user" ? 'flex-end' : 'flex-start'
+                      }}
+                    >
+                      <div
+                        id={ordinals[index] ? `message-${ordinals[index]}` : undefined}
+                        data-message-id={msg.id}
+                        className={flashIndex === index ? "message-flash" : undefined}
+                        onAnimationEnd={(e) => e.animationName === "message-flash" && setFlashIndex(null)}
+                        style={{
+                          maxWidth: '70%',
+                          padding: '16px',
+                          borderRadius: '12px',
+                          backgroundColor: msg.role === "user" ? (msg.is_web_search ? '#3b82f6' : '#4f46e5') :
+                                          msg.role === "error" ? '#fef2f2' :
+                                          msg.is_web_search ? '#eff6ff' : '#ffffff',
+                          color: msg.role === "user" ? '#ffffff' : msg.role === "error" ? '#dc2626' : '#1f2937',
+                          border: msg.role === "error" ? '2px solid #ef4444' :
+                                  msg.is_web_search && msg.role !== "user" ? '1px solid #bfdbfe' :
+                                  msg.role !== "user" ? '1px solid #e5e7eb' : 'none',
+                          boxShadow: '0 2px 4px rgba(0,0,0,0.05)',
+                          position: 'relative',
+                          fontSize: '15px',
+                          lineHeight: '1.5'
+                        }}
+                      >
+                        {msg.is_web_search && msg.role !== "user" && (
+                          <div style={{
+                            fontSize: '13px',
+                            color: '#2563eb',
+                            marginBottom: '8px',
+                            fontWeight: '500',
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '6px'
+                          }}>
+                            🌐 Web Search Results
+                          </div>
+                        )}
+                        {msg.role === "assistant" && (
+                          <button
+                            onClick={() => copyToClipboard(msg.content)}
+                            style={{
+                              position: 'absolute',
+                              top: '8px',
+                              right: '8px',
+                              background: 'none',
+                              border: 'none',
+                              color: '#6b7280',
+                              cursor: 'pointer',
+                              fontSize: '14px',
+                              opacity: '0.7',
+                              transition: 'opacity 0.2s'
+                            }}
+                            onMouseOver={(e) => e.target.style.opacity = '1'}
+                            onMouseOut={(e) => e.target.style.opacity = '0.7'}
+                            title="Copy message"
+                          >
+                            📋
+                          </button>
+                        )}
+                        {msg.role === "user" && <Attachments attachments={msg.attachments} onDark />}
+                        {editingIndex === index ? (
+                          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', minWidth: '280px' }}>
+                            <textarea
+                              value={editText}
+                              onChange={(e) => setEditText(e.target.value)}
+                              onKeyDown={(e) => {
+                                if (e.key === "Enter" && !e.shiftKey) {
+                                  e.preventDefault();
+                                  handleEditSubmit(index);
+                                } else if (e.key === "Escape") {
+                                  setEditingIndex(null);
+                                }
+                              }}
+                              autoFocus
+                              rows={3}
+                              style={{
+                                width: '100%',
+                                resize: 'vertical',
+                                borderRadius: '6px',
+                                border: 'none',
+                                padding: '8px',
+                                fontSize: '15px',
+                                fontFamily: 'inherit',
+                                color: '#1f2937',
+                                boxSizing: 'border-box'
+                              }}
+                            />
+                            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+                              <button
+                                onClick={() => setEditingIndex(null)}
+                                style={{ background: 'none', border: '1px solid rgba(255,255,255,0.7)', color: '#ffffff', borderRadius: '6px', padding: '4px 10px', cursor: 'pointer' }}
+                              >
+                                Cancel
+                              </button>
+                              <button
+                                onClick={() => handleEditSubmit(index)}
+                                style={{ backgroundColor: '#ffffff', border: 'none', color: '#4f46e5', borderRadius: '6px', padding: '4px 10px', cursor: 'pointer', fontWeight: '500' }}
+                              >
+                                Send
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <MessageRenderer
+                            content={msg.content}
+                            role={msg.role}
+                            sources={msg.sources}
+                            onCite={citeHandler(index)}
+                            streaming={isLoading && index === messages.length - 1}
+                          />
+                        )}
+                        <SourcesPanel
+                          sources={msg.sources}
+                          highlighted={highlightedSource?.index === index ? highlightedSource : null}
+                        />
+                        {msg.reconnecting && (
+                          <div style={{
+                            fontSize: '13px',
+                            color: '#b45309',
+                            marginTop: '8px',
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '6px'
+                          }}>
+                            🔄 Reconnecting…
+                          </div>
+                        )}
+                        <div style={{
+                          fontSize: '12px',
+                          color: msg.role === "user" ? 'rgba(255,255,255,0.7)' : '#9ca3af',
+                          marginTop: '8px',
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '8px'
+                        }}>
+                          <span>{new Date(msg.timestamp).toLocaleTimeString()}</span>
+                          {msg.pending && <span title="Will be sent when you are back online">⏳ Pending</span>}
+                          {msg.retrying && (
+                            <span title={`Attempt ${msg.retrying.attempt + 1}`}>
+                              🔄 Retrying in {Math.round(msg.retrying.delay / 1000)}s…
+                            </span>
+                          )}
+                          {(() => {
+                            const { index: branchIndex, count } = siblingInfo(tree, msg.id);
+                            if (count < 2) return null;
+                            const arrow = {
+                              background: 'none',
+                              border: 'none',
+                              color: 'inherit',
+                              padding: '0 2px',
+                              cursor: isLoading ? 'not-allowed' : 'pointer',
+                              fontSize: '12px'
+                            };
+                            return (
+                              <span style={{ display: 'inline-flex', alignItems: 'center' }}>
+                                <button
+                                  style={arrow}
+                                  disabled={isLoading || branchIndex === 0}
+                                  onClick={() => handleSwitchBranch(msg.id, -1)}
+                                  title="Previous version"
+                                >
+                                  &lt;
+                                </button>
+                                {branchIndex + 1}/{count}
+                                <button
+                                  style={arrow}
+                                  disabled={isLoading || branchIndex === count - 1}
+                                  onClick={() => handleSwitchBranch(msg.id, 1)}
+                                  title="Next version"
+                                >
+                                  &gt;
+                                </button>
+                              </span>
+                            );
+                          })()}
+                          {!isLoading && editingIndex === null && msg.role === "user" && (
+                            <button
+                              onClick={() => {
+                                setEditingIndex(index);
+                                setEditText(msg.content);
+                              }}
+                              style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', fontSize: '12px', padding: 0 }}
+                              title="Edit and resend"
+                            >
+                              ✏️ Edit
+                            </button>
+                          )}
+                          {!isLoading && msg.role === "assistant" && messages[index - 1]?.role === "user" && (
+                            <button
+                              onClick={() => handleRegenerate(index)}
+                              style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', fontSize: '12px', padding: 0 }}
+                              title="Regenerate response"
+                            >
+                              🔄 Regenerate
+                            </button>
+                          )}
+                          {sessionId && ordinals[index] && !msg.pending && (
+                            <button
+                              onClick={() => copyToClipboard(
+                                window.location.origin + sessionPath(sessionId, ordinals[index]),
+                                "Link copied"
+                              )}
+                              style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', fontSize: '12px', padding: 0 }}
+                              title="Copy a link to this message"
+                            >
+                              🔗 Link
+                            </button>
+                          )}
+                          {msg.role === "error" && msg.retryable && (
+                            <>
+                              <button
+                                onClick={() => handleRetry(index)}
+                                disabled={isLoading}
+                                style={{ background: 'none', border: 'none', color: '#dc2626', cursor: isLoading ? 'not-allowed' : 'pointer', fontSize: '12px', padding: 0, fontWeight: '500' }}
+                                title="Send the message again"
+                              >
+                                🔄 Retry
+                              </button>
+                              <button
+                                onClick={() => copyToClipboard(msg.details, "Error details copied")}
+                                style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', fontSize: '12px', padding: 0 }}
+                                title="Copy error details for a bug report"
+                              >
+                                📋 Copy details
+                              </button>
+                            </>
+                          )}
+                        </div>
                       </div>
-                    )}
-                    {msg.role === "assistant" && (
+                    </div>
+                  );
+                }}
+              />
+            )}
+            {pausedContent !== null && messages.length > 0 && (
+              <button
+                onClick={jumpToLatest}
+                style={{
+                  position: 'absolute',
+                  bottom: '16px',
+                  left: '50%',
+                  transform: 'translateX(-50%)',
+                  backgroundColor: '#4f46e5',
+                  color: '#ffffff',
+                  border: 'none',
+                  borderRadius: '9999px',
+                  padding: '6px 14px',
+                  fontSize: '13px',
+                  fontWeight: '500',
+                  boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+                  cursor: 'pointer'
+                }}
+              >
+                ↓ Jump to latest{unseenCount > 0 ? ` (${unseenCount} new)` : ""}
+              </button>
+            )}
+          </div>
+
+          {/* Outline */}
+          {outlineOpen && messages.length > 0 && (
+            <div style={{
+              width: '260px',
+              flexShrink: 0,
+              borderLeft: '1px solid #e5e7eb',
+              backgroundColor: '#ffffff',
+              overflowY: 'auto',
+              padding: '12px 0',
+              fontSize: '13px'
+            }}>
+              {outlineTurns.map((turn) => {
+                const collapsed = collapsedTurns.has(turn.index);
+                return (
+                  <div key={turn.index}>
+                    <div style={{ display: 'flex', alignItems: 'flex-start', padding: '4px 12px', gap: '4px' }}>
                       <button
-                        onClick={() => copyToClipboard(msg.content)}
+                        onClick={() => toggleTurn(turn.index)}
+                        disabled={!turn.headings.length}
                         style={{
-                          position: 'absolute',
-                          top: '8px',
-                          right: '8px',
                           background: 'none',
                           border: 'none',
-                          color: '#6b7280',
-                          cursor: 'pointer',
-                          fontSize: '14px',
-                          opacity: '0.7',
-                          transition: 'opacity 0.2s'
+                          padding: 0,
+                          width: '16px',
+                          color: '#9ca3af',
+                          cursor: turn.headings.length ? 'pointer' : 'default',
+                          visibility: turn.headings.length ? 'visible' : 'hidden'
                         }}
-                        onMouseOver={(e) => e.target.style.opacity = '1'}
-                        onMouseOut={(e) => e.target.style.opacity = '0.7'}
-                        title="Copy message"
+                        title={collapsed ? "Show headings" : "Hide headings"}
                       >
-                        📋
+                        {collapsed ? '▸' : '▾'}
+                      </button>
+                      <button
+                        onClick={() => showMessage(turn.index)}
+                        style={{ background: 'none', border: 'none', padding: 0, textAlign: 'left', color: '#1f2937', fontWeight: '500', cursor: 'pointer' }}
+                      >
+                        {turn.text}
                       </button>
-                    )}
-                    <ReactMarkdown
-                      remarkPlugins={[remarkMath]}
-                      rehypePlugins={[rehypeKatex]}
-                      components={{
-                        h1: ({ node, ...props }) => (
-                          <h1 style={{ fontSize: '22px', fontWeight: '700', margin: '12px 0' }} {...props} />
-                        ),
-                        h2: ({ node, ...props }) => (
-                          <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '10px 0' }} {...props} />
-                        ),
-                        h3: ({ node, ...props }) => (
-                          <h3 style={{ fontSize: '16px', fontWeight: '600', margin: '8px 0' }} {...props} />
-                        ),
-                        ul: ({ node, ...props }) => (
-                          <ul style={{ paddingLeft: '20px', margin: '8px 0', lineHeight: '1.6' }} {...props} />
-                        ),
-                        ol: ({ node, ...props }) => (
-                          <ol style={{ paddingLeft: '20px', margin: '8px 0', lineHeight: '1.6' }} {...props} />
-                        ),
-                        li: ({ node, ...props }) => (
-                          <li style={{ margin: '4px 0' }} {...props} />
-                        ),
-                        table: ({ node, ...props }) => (
-                          <table style={{
-                            borderCollapse: 'collapse',
-                            width: '100%',
-                            margin: '12px 0',
-                            border: '1px solid #e5e7eb'
-                          }} {...props} />
-                        ),
-                        th: ({ node, ...props }) => (
-                          <th style={{
-                            border: '1px solid #e5e7eb',
-                            padding: '10px',
-                            backgroundColor: '#f9fafb',
-                            fontWeight: '600'
-                          }} {...props} />
-                        ),
-                        td: ({ node, ...props }) => (
-                          <td style={{ border: '1px solid #e5e7eb', padding: '10px' }} {...props} />
-                        ),
-                        code: ({ node, inline, ...props }) => inline ? (
-                          <code style={{
-                            backgroundColor: '#f3f4f6',
-                            padding: '2px 6px',
-                            borderRadius: '4px',
-                            fontSize: '14px',
-                            fontFamily: 'ui-monospace, SFMono-Regular, monospace'
-                          }} {...props} />
-                        ) : (
-                          <code style={{
-                            display: 'block',
-                            backgroundColor: '#1f2937',
-                            color: '#f9fafb',
-                            padding: '12px',
-                            borderRadius: '6px',
-                            fontSize: '14px',
-                            fontFamily: 'ui-monospace, SFMono-Regular, monospace',
-                            overflowX: 'auto'
-                          }} {...props} />
-                        ),
-                        p: ({ node, ...props }) => (
-                          <p style={{ margin: '6px 0' }} {...props} />
-                        ),
-                        blockquote: ({ node, ...props }) => (
-                          <blockquote style={{
-                            borderLeft: '3px solid #d1d5db',
-                            paddingLeft: '12px',
-                            margin: '12px 0',
-                            color: '#6b7280',
-                            fontStyle: 'italic'
-                          }} {...props} />
-                        ),
-                      }}
-                    >
-                      {preprocessText(msg.content)}
-                    </ReactMarkdown>
-                    <div style={{
-                      fontSize: '12px',
-                      color: msg.role === "user" ? 'rgba(255,255,255,0.7)' : '#9ca3af',
-                      marginTop: '8px'
-                    }}>
-                      {new Date(msg.timestamp).toLocaleTimeString()}
                     </div>
+                    {!collapsed && turn.headings.map((heading, i) => (
+                      <button
+                        key={i}
+                        onClick={() => showMessage(heading.index)}
+                        style={{
+                          display: 'block',
+                          background: 'none',
+                          border: 'none',
+                          textAlign: 'left',
+                          padding: `2px 12px 2px ${20 + heading.level * 12}px`,
+                          color: '#4b5563',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        {heading.text}
+                      </button>
+                    ))}
                   </div>
-                </div>
-              ))}
-              <div ref={messagesEndRef} />
+                );
+              })}
             </div>
           )}
         </div>
 
         {/* Input Area */}
-        <div style={{
-          backgroundColor: '#ffffff',
-          borderTop: '1px solid #e5e7eb',
-          padding: '16px 24px'
-        }}>
+        <div
+          onDragOver={(e) => {
+            if (![...e.dataTransfer.types].includes("Files")) return;
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+          }}
+          onDrop={handleDrop}
+          style={{
+            backgroundColor: dragging ? '#eff6ff' : '#ffffff',
+            borderTop: dragging ? '2px dashed #3b82f6' : '1px solid #e5e7eb',
+            padding: '16px 24px'
+          }}
+        >
           <div style={{ maxWidth: '1024px', margin: '0 auto' }}>
+            <Attachments attachments={attachments} onRemove={removeAttachment} />
             <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={ACCEPT}
+                onChange={(e) => {
+                  addFiles(e.target.files);
+                  e.target.value = "";
+                }}
+                style={{ display: 'none' }}
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isLoading}
+                title="Attach files (or drop / paste them here)"
+                aria-label="Attach files"
+                style={{
+                  padding: '10px',
+                  backgroundColor: '#ffffff',
+                  color: '#6b7280',
+                  borderRadius: '8px',
+                  border: '1px solid #d1d5db',
+                  fontSize: '16px',
+                  cursor: isLoading ? 'not-allowed' : 'pointer'
+                }}
+              >
+                📎
+              </button>
               <div style={{ position: 'relative', flex: 1 }}>
                 <textarea
                   ref={textareaRef}
                   value={message}
-                  onChange={(e) => setMessage(e.target.value)}
+                  onChange={(e) => {
+                    setMessage(e.target.value);
+                    setSuggestionIndex(0);
+                  }}
                   onKeyDown={handleKeyDown}
+                  onPaste={handlePaste}
                   rows={1}
                   disabled={isLoading}
                   style={{
@@ -679,10 +1636,52 @@ export default function Chat({ sessionId: propSessionId }) {
                     backgroundColor: '#ffffff',
                     ...(isLoading && { opacity: 0.6, cursor: 'not-allowed' })
                   }}
-                  placeholder="Type your message... (Enter to send, Shift+Enter for new line)"
+                  placeholder="Type your message... (Enter to send, Shift+Enter for new line, / for commands)"
                   onFocus={(e) => e.target.style.borderColor = '#3b82f6'}
                   onBlur={(e) => e.target.style.borderColor = '#d1d5db'}
                 />
+                {suggestions.length > 0 && (
+                  <ul
+                    role="listbox"
+                    aria-label="Commands"
+                    style={{
+                      position: 'absolute',
+                      left: 0,
+                      right: 0,
+                      bottom: '100%',
+                      marginBottom: '6px',
+                      listStyle: 'none',
+                      padding: '4px 0',
+                      backgroundColor: '#ffffff',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+                      zIndex: 10
+                    }}
+                  >
+                    {suggestions.map((suggestion) => (
+                      <li
+                        key={suggestion.key}
+                        role="option"
+                        aria-selected={suggestion === activeSuggestion}
+                        // Keep focus in the textarea.
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => acceptSuggestion(suggestion, { run: true })}
+                        style={{
+                          display: 'flex',
+                          gap: '12px',
+                          padding: '6px 12px',
+                          fontSize: '14px',
+                          cursor: 'pointer',
+                          backgroundColor: suggestion === activeSuggestion ? '#eff6ff' : 'transparent'
+                        }}
+                      >
+                        <span style={{ fontFamily: 'monospace', color: '#1f2937' }}>{suggestion.label}</span>
+                        <span style={{ color: '#6b7280' }}>{suggestion.description}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
                 {isLoading && (
                   <div style={{
                     position: 'absolute',
@@ -698,16 +1697,16 @@ export default function Chat({ sessionId: propSessionId }) {
               </div>
               <button
                 onClick={isLoading ? handleCancel : handleSendMessage}
-                disabled={!isLoading && !message.trim()}
+                disabled={!isLoading && !canSend}
                 style={{
                   padding: '10px 20px',
-                  backgroundColor: (!isLoading && !message.trim()) ? '#d1d5db' : (isLoading ? '#ef4444' : '#3b82f6'),
+                  backgroundColor: (!isLoading && !canSend) ? '#d1d5db' : (isLoading ? '#ef4444' : '#3b82f6'),
                   color: '#ffffff',
                   borderRadius: '8px',
                   border: 'none',
                   fontSize: '15px',
                   fontWeight: '500',
-                  cursor: (!isLoading && !message.trim()) ? 'not-allowed' : 'pointer',
+                  cursor: (!isLoading && !canSend) ? 'not-allowed' : 'pointer',
                   transition: 'background-color 0.2s',
                   minWidth: '80px'
                 }}
@@ -767,11 +1766,13 @@ export default function Chat({ sessionId: propSessionId }) {
           </div>
         </div>
       </div>
-
-      <link
-        rel="stylesheet"
-        href="https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.css"
+      <GenerationDrawer
+        open={generationOpen}
+        settings={generation}
+        onChange={handleGenerationChange}
+        onClose={() => setGenerationOpen(false)}
       />
+      <CommandPalette open={paletteOpen} items={paletteItems} onClose={() => setPaletteOpen(false)} />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,156 @@
+import { useState } from "react";
+
+// Fenced code block with a language badge, per-block copy and download, and
+// line number / wrap toggles for long blocks. Highlighting itself is done by
+// rehype-highlight; this only wraps the highlighted <code> element.
+
+const LONG_BLOCK_LINES = 15;
+
+const EXTENSIONS = {
+  bash: "sh", sh: "sh", shell: "sh", zsh: "sh", powershell: "ps1",
+  c: "c", cpp: "cpp", "c++": "cpp", csharp: "cs", cs: "cs",
+  css: "css", scss: "scss", less: "less", html: "html", xml: "xml", svg: "svg",
+  go: "go", rust: "rs", java: "java", kotlin: "kt", swift: "swift", scala: "scala",
+  javascript: "js", js: "js", jsx: "jsx", typescript: "ts", ts: "ts", tsx: "tsx",
+  json: "json", yaml: "yml", yml: "yml", toml: "toml", ini: "ini",
+  python: "py", py: "py", ruby: "rb", rb: "rb", php: "php", perl: "pl", lua: "lua",
+  r: "r", julia: "jl", matlab: "m", sql: "sql", graphql: "graphql",
+  markdown: "md", md: "md", latex: "tex", tex: "tex", dockerfile: "Dockerfile",
+  makefile: "mk", diff: "diff", csv: "csv",
+};
+
+const languageOf = (className = "") =>
+  className.split(/\s+/).find((c) => c.startsWith("language-"))?.slice("language-".length) || "";
+
+// Plain text of a hast node, i.e. the code before highlighting added spans.
+const textOf = (node) =>
+  node.type === "text" ? node.value : (node.children || []).map(textOf).join("");
+
+const toolbarButton = {
+  background: 'none',
+  border: '1px solid #4b5563',
+  borderRadius: '4px',
+  color: '#d1d5db',
+  fontSize: '12px',
+  padding: '2px 8px',
+  cursor: 'pointer'
+};
+
+export default function CodeBlock({ node, children }) {
+  const codeNode = node?.children?.find((child) => child.tagName === "code");
+  const codeElement = Array.isArray(children) ? children[0] : children;
+  const language = languageOf(codeElement?.props?.className);
+  const source = (codeNode ? textOf(codeNode) : "").replace(/\n$/, "");
+  const lineCount = source.split("\n").length;
+  const isLong = lineCount > LONG_BLOCK_LINES;
+
+  const [copied, setCopied] = useState(false);
+  const [showLineNumbers, setShowLineNumbers] = useState(false);
+  const [wrap, setWrap] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(source);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error("Failed to copy code: ", err);
+    }
+  };
+
+  const handleDownload = () => {
+    const ext = EXTENSIONS[language.toLowerCase()] || "txt";
+    const filename = ext === "Dockerfile" ? ext : `snippet.${ext}`;
+    const url = URL.createObjectURL(new Blob([source], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // A gutter cannot follow wrapped lines, so the two modes exclude each other.
+  const toggleLineNumbers = () => {
+    setShowLineNumbers((v) => !v);
+    setWrap(false);
+  };
+  const toggleWrap = () => {
+    setWrap((v) => !v);
+    setShowLineNumbers(false);
+  };
+
+  const codeStyle = {
+    display: 'block',
+    padding: '12px',
+    fontSize: '14px',
+    lineHeight: '1.5',
+    fontFamily: 'ui-monospace, SFMono-Regular, monospace',
+    whiteSpace: wrap ? 'pre-wrap' : 'pre',
+    wordBreak: wrap ? 'break-word' : 'normal',
+    background: 'transparent'
+  };
+
+  return (
+    <div style={{
+      margin: '12px 0',
+      borderRadius: '6px',
+      overflow: 'hidden',
+      backgroundColor: '#1f2937',
+      color: '#f9fafb'
+    }}>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '6px 12px',
+        backgroundColor: '#111827',
+        fontSize: '12px'
+      }}>
+        <span style={{
+          color: '#9ca3af',
+          textTransform: 'lowercase',
+          marginRight: 'auto',
+          fontFamily: 'ui-monospace, SFMono-Regular, monospace'
+        }}>
+          {language || "text"}
+        </span>
+        {isLong && (
+          <>
+            <button onClick={toggleLineNumbers} style={toolbarButton} title="Toggle line numbers">
+              {showLineNumbers ? "Hide #" : "Show #"}
+            </button>
+            <button onClick={toggleWrap} style={toolbarButton} title="Toggle line wrapping">
+              {wrap ? "No wrap" : "Wrap"}
+            </button>
+          </>
+        )}
+        <button onClick={handleDownload} style={toolbarButton} title="Download as file">
+          ⬇
+        </button>
+        <button onClick={handleCopy} style={toolbarButton} title="Copy code">
+          {copied ? "Copied" : "Copy"}
+        </button>
+      </div>
+      <div style={{ display: 'flex', overflowX: wrap ? 'hidden' : 'auto' }}>
+        {showLineNumbers && (
+          <pre aria-hidden="true" style={{
+            ...codeStyle,
+            margin: 0,
+            paddingRight: '8px',
+            textAlign: 'right',
+            color: '#6b7280',
+            userSelect: 'none',
+            borderRight: '1px solid #374151'
+          }}>
+            {Array.from({ length: lineCount }, (_, i) => i + 1).join("\n")}
+          </pre>
+        )}
+        <pre style={{ margin: 0, flex: 1, minWidth: 0 }}>
+          <code className={codeElement?.props?.className} style={codeStyle}>
+            {codeElement?.props?.children}
+          </code>
+        </pre>
+      </div>
+    </div>
+  );
+}
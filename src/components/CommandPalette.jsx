@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from "react";
+
+// Ctrl/Cmd+K palette. `items` are { key, icon, label, hint, group,
+// onSelect }, listed in order under their group; typing filters them to the
+// ones containing every word of the query. Enter runs the highlighted one,
+// Escape or a click outside closes.
+
+const MAX_RESULTS = 50;
+
+const matches = (item, words) => {
+  const text = `${item.label} ${item.hint || ""}`.toLowerCase();
+  return words.every((word) => text.includes(word));
+};
+
+export default function CommandPalette({ open, items, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setQuery("");
+      setActive(0);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  if (!open) return null;
+
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const results = items.filter((item) => matches(item, words)).slice(0, MAX_RESULTS);
+  const current = Math.min(active, results.length - 1);
+
+  const select = (item) => {
+    onClose();
+    item.onSelect();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((current + step + results.length) % Math.max(results.length, 1));
+    } else if (e.key === "Enter" && results[current]) {
+      e.preventDefault();
+      select(results[current]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-start justify-center bg-black/30 p-4 pt-[15vh]"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div role="dialog" aria-label="Command palette" className="w-full max-w-lg rounded-lg bg-white shadow-xl overflow-hidden">
+        <input
+          autoFocus
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search sessions and commands…"
+          aria-controls="command-palette-results"
+          className="w-full border-b border-gray-200 px-4 py-3 text-base outline-none"
+        />
+        <ul id="command-palette-results" ref={listRef} role="listbox" className="max-h-96 overflow-y-auto py-1">
+          {results.length === 0 && <li className="px-4 py-3 text-sm text-gray-500">Nothing matches “{query}”</li>}
+          {results.map((item, i) => (
+            <li key={item.key} role="presentation">
+              {item.group !== results[i - 1]?.group && (
+                <div className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">{item.group}</div>
+              )}
+              <button
+                role="option"
+                aria-selected={i === current}
+                onMouseMove={() => i !== current && setActive(i)}
+                onClick={() => select(item)}
+                className={`flex w-full items-center gap-3 px-4 py-2 text-left text-sm ${
+                  i === current ? "bg-blue-50 text-blue-900" : "text-gray-800"
+                }`}
+              >
+                <span aria-hidden="true" className="w-5 text-center">
+                  {item.icon}
+                </span>
+                <span className="flex-1 truncate">{item.label}</span>
+                {item.hint && <span className="shrink-0 text-xs text-gray-400">{item.hint}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
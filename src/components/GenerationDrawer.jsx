@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react";
+import { Button } from "../ui/Button.jsx";
+import { cachedFetch } from "../utils/offlineCache";
+import { DEFAULT_GENERATION, LIMITS, PRESETS, fetchModels, presetOf } from "../utils/generationSettings";
+
+// Side drawer for the open session's model and sampling settings. Changes
+// apply straight away through `onChange(settings)`; empty fields fall back
+// to the backend's defaults.
+
+const parseNumber = (raw, { min, max }) => {
+  if (raw === "") return null;
+  const value = Number(raw);
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : null;
+};
+
+function NumberField({ label, hint, value, limits, onChange }) {
+  return (
+    <label className="block">
+      <span className="text-sm font-medium text-gray-700">{label}</span>
+      <input
+        type="number"
+        value={value ?? ""}
+        placeholder="Default"
+        min={limits.min}
+        max={limits.max}
+        step={limits.step}
+        onChange={(e) => onChange(parseNumber(e.target.value, limits))}
+        className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-sm"
+      />
+      <span className="text-xs text-gray-500">{hint}</span>
+    </label>
+  );
+}
+
+export default function GenerationDrawer({ open, settings, onChange, onClose }) {
+  const [models, setModels] = useState([]);
+
+  useEffect(() => {
+    if (!open) return;
+    cachedFetch("models", fetchModels, setModels).catch((err) => console.error("Error fetching models:", err));
+  }, [open]);
+
+  useEffect(() => {
+    if (!open) return;
+    const onKeyDown = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const preset = presetOf(settings);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/20" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div role="dialog" aria-label="Session settings" className="w-full max-w-sm h-full bg-white shadow-xl flex flex-col">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">⚙️ Session settings</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-5">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Model</span>
+            <input
+              list="generation-models"
+              value={settings.model || ""}
+              placeholder="Backend default"
+              onChange={(e) => update({ model: e.target.value || null })}
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <datalist id="generation-models">
+              {models.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </datalist>
+          </label>
+
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">System prompt</span>
+            <textarea
+              value={settings.systemPrompt}
+              rows={5}
+              placeholder="Instructions the model follows for the whole conversation"
+              onChange={(e) => update({ systemPrompt: e.target.value })}
+              className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-sm resize-y"
+            />
+          </label>
+
+          <div>
+            <span className="text-sm font-medium text-gray-700">Preset</span>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {Object.entries(PRESETS).map(([key, { label, values }]) => (
+                <button
+                  key={key}
+                  onClick={() => update(values)}
+                  className={`px-3 py-1 rounded-full border text-sm ${
+                    preset === key ? "border-blue-600 bg-blue-50 text-blue-700" : "border-gray-300 text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <NumberField
+            label="Temperature"
+            hint="Higher is more varied, lower more focused (0–2)."
+            value={settings.temperature}
+            limits={LIMITS.temperature}
+            onChange={(temperature) => update({ temperature })}
+          />
+          <NumberField
+            label="Top-p"
+            hint="Only sample from the most likely tokens up to this probability mass (0–1)."
+            value={settings.topP}
+            limits={LIMITS.topP}
+            onChange={(topP) => update({ topP })}
+          />
+          <NumberField
+            label="Max tokens"
+            hint="Upper bound on the length of each answer."
+            value={settings.maxTokens}
+            limits={LIMITS.maxTokens}
+            onChange={(maxTokens) => update({ maxTokens: maxTokens === null ? null : Math.round(maxTokens) })}
+          />
+        </div>
+
+        <div className="flex justify-between px-4 py-3 border-t border-gray-200">
+          <Button variant="ghost" onClick={() => onChange(DEFAULT_GENERATION)}>
+            Reset to defaults
+          </Button>
+          <Button onClick={onClose}>Done</Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,11 @@
 import Chat from './Chat.jsx'
 
-const Home = ({ sessionId, setSessionId }) => {
+const Home = () => {
   return (
     <div>
-      <Chat sessionId={sessionId} setSessionId={setSessionId} />
+      <Chat />
     </div>
   )
 }
 
-export default Home
\ No newline at end of file
+export default Home
@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { Button } from "../ui/Button.jsx";
+import { Card } from "../ui/Card.jsx";
+import { getActiveProfile, getApiBase } from "../utils/api";
+import { getUser, login } from "../utils/auth";
+
+// Sign-in for the active backend. Returns to the page that needed it, unless
+// someone else signed in: their sessions are not at the old URLs.
+export default function Login() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const previous = getUser();
+  const [username, setUsername] = useState(previous?.username || "");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const user = await login(username.trim(), password);
+      const from = location.state?.from;
+      navigate(from && (!previous || user?.id === previous.id) ? from : "/", { replace: true });
+    } catch (err) {
+      setError(err.status === 401 || err.status === 400 ? "Wrong username or password" : err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+      <Card className="w-full max-w-sm p-6">
+        <h2 className="text-xl font-bold mb-1">Sign in</h2>
+        <p className="text-sm text-gray-500 mb-4" title={getApiBase()}>
+          to {getActiveProfile()?.label || getApiBase()}
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Username</span>
+            <input
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              autoFocus={!username}
+              className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Password</span>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              autoFocus={!!username}
+              className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <Button type="submit" disabled={submitting || !username.trim() || !password} className="w-full">
+            {submitting ? "Signing in…" : "Sign in"}
+          </Button>
+        </form>
+        <p className="mt-4 text-xs text-gray-500">
+          Wrong backend?{" "}
+          <Link to="/settings" className="text-blue-600 hover:underline">
+            Change it in settings
+          </Link>
+        </p>
+      </Card>
+    </div>
+  );
+}
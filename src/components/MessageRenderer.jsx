@@ -0,0 +1,165 @@
+import { memo } from "react";
+import { Fragment, jsx, jsxs } from "react/jsx-runtime";
+import { defaultUrlTransform } from "react-markdown";
+import { toJsxRuntime } from "hast-util-to-jsx-runtime";
+import { urlAttributes } from "html-url-attributes";
+import { visit } from "unist-util-visit";
+import "katex/dist/katex.min.css";
+import "highlight.js/styles/github-dark.css";
+import CodeBlock from "./CodeBlock.jsx";
+import { markdownToHast, splitBlocks } from "../utils/markdown";
+import { useMarkdownTree } from "../utils/markdownRenderer";
+
+// Every route that shows messages renders them through this component, so
+// they look the same everywhere and follow the same security rules.
+//
+// Raw HTML in message content is turned into text before the hast tree is
+// built, so it shows as written and never becomes elements, and the tree is
+// sanitized before KaTeX and highlight.js run; see utils/markdown.js.
+// The tree is built in a worker (utils/markdownRenderer.js) and turned into
+// React elements here, with the same post-processing react-markdown applies.
+
+const styled = (Tag, style) =>
+  function StyledElement(props) {
+    const { node: _node, ...rest } = props;
+    return <Tag style={style} {...rest} />;
+  };
+
+const components = {
+  h1: styled("h1", { fontSize: '22px', fontWeight: '700', margin: '12px 0' }),
+  h2: styled("h2", { fontSize: '18px', fontWeight: '600', margin: '10px 0' }),
+  h3: styled("h3", { fontSize: '16px', fontWeight: '600', margin: '8px 0' }),
+  ul: styled("ul", { paddingLeft: '20px', margin: '8px 0', lineHeight: '1.6' }),
+  ol: styled("ol", { paddingLeft: '20px', margin: '8px 0', lineHeight: '1.6' }),
+  li: styled("li", { margin: '4px 0' }),
+  table: styled("table", {
+    borderCollapse: 'collapse',
+    width: '100%',
+    margin: '12px 0',
+    border: '1px solid #e5e7eb'
+  }),
+  th: styled("th", {
+    border: '1px solid #e5e7eb',
+    padding: '10px',
+    backgroundColor: '#f9fafb',
+    fontWeight: '600'
+  }),
+  td: styled("td", { border: '1px solid #e5e7eb', padding: '10px' }),
+  p: styled("p", { margin: '6px 0' }),
+  blockquote: styled("blockquote", {
+    borderLeft: '3px solid #d1d5db',
+    paddingLeft: '12px',
+    margin: '12px 0',
+    color: '#6b7280',
+    fontStyle: 'italic'
+  }),
+  a: (props) => {
+    const { node: _node, ...rest } = props;
+    return (
+      <a
+        {...rest}
+        target="_blank"
+        rel="noopener noreferrer"
+        style={{ color: 'inherit', textDecoration: 'underline', wordBreak: 'break-all' }}
+      />
+    );
+  },
+  // react-markdown v10 no longer passes `inline`: fenced blocks arrive as
+  // <pre><code>, so <pre> gets the block treatment and bare <code> is inline.
+  pre: CodeBlock,
+  code: styled("code", {
+    backgroundColor: '#f3f4f6',
+    color: '#1f2937',
+    padding: '2px 6px',
+    borderRadius: '4px',
+    fontSize: '14px',
+    fontFamily: 'ui-monospace, SFMono-Regular, monospace'
+  }),
+};
+
+// Citation markers ([n] linked to "#cite-n" by remarkCitations).
+const citationLink = (onCite) =>
+  function CitationLink(props) {
+    const { node: _node, href, children, ...rest } = props;
+    if (!href?.startsWith("#cite-")) return components.a(props);
+    const n = Number(href.slice("#cite-".length));
+    return (
+      <a
+        {...rest}
+        href={`#source-${n}`}
+        onClick={(e) => {
+          e.preventDefault();
+          onCite?.(n);
+        }}
+        style={{
+          color: '#2563eb',
+          fontSize: '0.85em',
+          fontWeight: '600',
+          textDecoration: 'none',
+          verticalAlign: 'super'
+        }}
+      >
+        {children}
+      </a>
+    );
+  };
+
+// What react-markdown does between its pipeline and React: leftover raw
+// HTML becomes text and URLs go through its protocol allowlist. Both steps
+// are idempotent, so cached trees can pass through again.
+function toReact(tree, components) {
+  visit(tree, (node, index, parent) => {
+    if (node.type === "raw" && parent && typeof index === "number") {
+      parent.children[index] = { type: "text", value: node.value };
+      return index;
+    }
+    if (node.type !== "element") return;
+    for (const [key, tags] of Object.entries(urlAttributes)) {
+      if (Object.hasOwn(node.properties, key) && (tags === null || tags.includes(node.tagName))) {
+        node.properties[key] = defaultUrlTransform(String(node.properties[key] || ""));
+      }
+    }
+  });
+  return toJsxRuntime(tree, { Fragment, jsx, jsxs, components, ignoreInvalidStyle: true, passKeys: true, passNode: true });
+}
+
+const componentsFor = (sources, onCite) =>
+  sources?.length ? { ...components, a: citationLink(onCite) } : components;
+
+// Assistant answers go through the formatting pipeline; user and error text
+// is shown as written, with single newlines kept as line breaks. For web
+// search answers, pass `sources` so [n] markers link to them via `onCite`.
+// This one parses on the calling thread on every render; the render
+// benchmark uses it as its baseline.
+export function MessageMarkdown({ content, role, sources, onCite }) {
+  const tree = markdownToHast(content, { role, citations: sources?.length || 0 });
+  return toReact(tree, componentsFor(sources, onCite));
+}
+
+// Same output, parsed by the worker. Until the first tree arrives, or if the
+// content cannot be rendered in time, the text is shown as written.
+function WorkerMarkdown({ content, role, sources, onCite }) {
+  const { tree } = useMarkdownTree(content || "", { role, citations: sources?.length || 0 });
+  if (!tree) return <div style={{ whiteSpace: 'pre-wrap' }}>{content}</div>;
+  return toReact(tree, componentsFor(sources, onCite));
+}
+
+const MarkdownBlock = memo(WorkerMarkdown);
+
+// While an answer streams only its last block changes, so each block is
+// rendered separately and the finished ones are skipped by memo.
+function StreamingMarkdown({ content, sources, onCite }) {
+  return splitBlocks(content).map((block, i) => (
+    <MarkdownBlock key={i} content={block} role="assistant" sources={sources} onCite={onCite} />
+  ));
+}
+
+// Memoised on its props, so settled messages do not re-render while another
+// one streams; `onCite` must therefore be stable. Pass `streaming` for the
+// message that is still growing.
+function MessageRenderer({ streaming = false, ...props }) {
+  if (streaming && props.role === "assistant") return <StreamingMarkdown {...props} />;
+  return <WorkerMarkdown {...props} />;
+}
+
+export default memo(MessageRenderer);
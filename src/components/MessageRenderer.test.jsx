@@ -0,0 +1,61 @@
+import { renderToStaticMarkup } from "react-dom/server";
+import { describe, expect, it } from "vitest";
+import { MessageMarkdown } from "./MessageRenderer.jsx";
+import { renderMarkdownToHtml } from "../utils/markdown";
+
+// Messages come from the model and from imports, so neither the chat nor the
+// HTML export may turn their content into live markup.
+const renderers = {
+  MessageMarkdown: (content, role) => renderToStaticMarkup(<MessageMarkdown content={content} role={role} />),
+  renderMarkdownToHtml: (content, role) => renderMarkdownToHtml(content, { role }),
+};
+
+// Real tags in the output; escaped text starts with &lt; or &#x3C; instead.
+const tagsOf = (html) => html.match(/<[a-z][^>]*>/gi) || [];
+
+// What a reader sees: the output with tags dropped and entities decoded.
+const textOf = (html) =>
+  html
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(lt|#x3C|#60);/gi, "<")
+    .replace(/&(gt|#x3E|#62);/gi, ">")
+    .replace(/&(quot|#x22|#34);/gi, '"')
+    .replace(/&amp;/g, "&");
+
+const ATTACKS = {
+  script: "before <script>alert(1)</script> after",
+  "img onerror": 'look <img src="x" onerror="alert(1)"> here',
+  "svg onload": "<svg onload=alert(1)><circle r=5 /></svg>",
+  "javascript: link": "[click me](javascript:alert(1))",
+};
+
+for (const [name, render] of Object.entries(renderers)) {
+  describe(`${name} sanitising`, () => {
+    for (const role of ["assistant", "user"]) {
+      describe(`${role} messages`, () => {
+        for (const [attack, content] of Object.entries(ATTACKS)) {
+          it(`neutralises ${attack}`, () => {
+            const tags = tagsOf(render(content, role));
+            expect(tags.filter((tag) => /^<(script|img|svg)\b/i.test(tag))).toEqual([]);
+            expect(tags.filter((tag) => /\son\w+=/i.test(tag))).toEqual([]);
+            expect(tags.filter((tag) => /href="\s*javascript:/i.test(tag))).toEqual([]);
+          });
+        }
+      });
+    }
+
+    it("shows raw HTML as the text it is", () => {
+      const html = render("before <script>alert(1)</script> after", "user");
+      expect(textOf(html)).toContain("before <script>alert(1)</script> after");
+    });
+
+    it("keeps angle brackets in prose", () => {
+      const html = render("Use the <div> tag for a Vec<T>.", "user");
+      expect(textOf(html)).toContain("Use the <div> tag for a Vec<T>.");
+    });
+
+    it("keeps safe links", () => {
+      expect(render("[docs](https://example.com/a)", "user")).toContain('href="https://example.com/a"');
+    });
+  });
+}
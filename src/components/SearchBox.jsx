@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import { onIndexChange, search, syncIndex } from "../utils/searchIndex";
+import { displayTitle, useSessionMeta } from "../utils/sessionMeta";
+
+// Search box over all conversations, used on the /sessions page and in the
+// Chat sidebar. The first focus brings the local index up to date in the
+// background; results come from the index and update as it grows.
+// `onOpen({ sessionId, index })` is called with the chosen message.
+export default function SearchBox({ onOpen, compact = false }) {
+  const meta = useSessionMeta();
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [synced, setSynced] = useState(false);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => onIndexChange(() => setVersion((v) => v + 1)), []);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const found = await search(query);
+      if (!cancelled) setResults(found);
+    }, 150);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, version]);
+
+  const startSync = () => {
+    if (synced) return;
+    setSynced(true);
+    syncIndex({ onProgress: (done, total) => setProgress({ done, total }) }).finally(() => setProgress(null));
+  };
+
+  const open = (result) => {
+    setQuery("");
+    onOpen(result);
+  };
+
+  return (
+    <div className={`text-sm ${compact ? "px-4 py-2" : "mb-3"}`}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onFocus={startSync}
+        onKeyDown={(e) => e.key === "Escape" && setQuery("")}
+        placeholder="🔍 Search all conversations…"
+        className="w-full border border-gray-300 rounded-md px-3 py-1.5 focus:outline-none focus:border-blue-400"
+      />
+      {progress && (
+        <div className="mt-1 text-xs text-gray-400">
+          Indexing {progress.done}/{progress.total} sessions…
+        </div>
+      )}
+      {query.trim() && (
+        <ul className="mt-2 max-h-80 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100 bg-white">
+          {results.length === 0 ? (
+            <li className="p-3 text-xs text-gray-500">No matches</li>
+          ) : (
+            results.map((r) => (
+              <li key={`${r.sessionId}#${r.index}`}>
+                <button onClick={() => open(r)} className="w-full text-left p-2 hover:bg-gray-50">
+                  <div className="flex items-center gap-2 text-xs text-gray-500">
+                    <span className="flex-1 truncate font-medium text-gray-700">
+                      {displayTitle(meta, r.sessionId, r.sessionTitle)}
+                    </span>
+                    <span className={r.role === "user" ? "text-indigo-600" : "text-gray-500"}>
+                      {r.role === "user" ? "You" : "Assistant"}
+                    </span>
+                    {r.timestamp && <span>{new Date(r.timestamp).toLocaleString()}</span>}
+                  </div>
+                  <div className="mt-1 text-xs text-gray-600 break-words">
+                    {r.snippet.map((part, i) =>
+                      part.match ? (
+                        <mark key={i} className="bg-yellow-200 rounded-sm">
+                          {part.text}
+                        </mark>
+                      ) : (
+                        <span key={i}>{part.text}</span>
+                      )
+                    )}
+                  </div>
+                </button>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
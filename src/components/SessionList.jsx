@@ -0,0 +1,246 @@
+import { useState } from "react";
+import VirtualList from "./VirtualList.jsx";
+import {
+  createFolder,
+  deleteFolder,
+  displayTitle,
+  groupSessions,
+  updateSessionMeta,
+  useSessionMeta,
+} from "../utils/sessionMeta";
+
+// Session list shared by the Chat sidebar and the /sessions page: pinned
+// sessions first, then user folders, then everything else. Titles can be
+// renamed inline and sessions dragged between groups.
+// `sessions` is a list of { id, title, subtitle } where title is the fallback
+// shown when the user has not renamed the session. The list is virtualized
+// and asks for the next page through `onEndReached` while `hasMore` is set;
+// size it through `className` or `style`. Passing a `selected` Set adds
+// checkboxes that report through `onToggleSelect(id)`.
+const ROW_HEIGHT = 44;
+const ROW_GAP = 8;
+const HEADER_HEIGHT = 32;
+const FOOTER_HEIGHT = 44;
+
+export default function SessionList({
+  sessions,
+  activeId,
+  onSelect,
+  onDelete,
+  compact = false,
+  hasMore = false,
+  loading = false,
+  onEndReached,
+  selected,
+  onToggleSelect,
+  className = "",
+  style,
+}) {
+  const meta = useSessionMeta();
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState("");
+  const [dropTarget, setDropTarget] = useState(null);
+  const [collapsed, setCollapsed] = useState({});
+  const [newFolder, setNewFolder] = useState(null);
+
+  const groups = groupSessions(sessions, meta);
+
+  const startRename = (item, e) => {
+    e.stopPropagation();
+    setRenamingId(item.id);
+    setRenameText(displayTitle(meta, item.id, item.title));
+  };
+
+  const commitRename = () => {
+    const title = renameText.trim();
+    if (renamingId && title) updateSessionMeta(renamingId, { title });
+    setRenamingId(null);
+  };
+
+  const handleDrop = (group, e) => {
+    e.preventDefault();
+    const id = e.dataTransfer.getData("text/plain");
+    setDropTarget(null);
+    if (id) updateSessionMeta(id, group.drop);
+  };
+
+  const commitFolder = () => {
+    if (newFolder?.trim()) createFolder(newFolder);
+    setNewFolder(null);
+  };
+
+  // Groups are flattened into fixed-height rows so the list can be virtualized.
+  const rows = [];
+  for (const group of groups) {
+    // Empty built-in groups stay hidden; empty folders remain as drop targets.
+    if (!group.items.length && !group.folder) continue;
+    rows.push({ type: "header", group });
+    if (!collapsed[group.key]) {
+      for (const item of group.items) rows.push({ type: "item", group, item });
+    }
+  }
+  if (hasMore || loading) rows.push({ type: "more" });
+  rows.push({ type: "footer" });
+
+  const itemHeight = compact ? ROW_HEIGHT : ROW_HEIGHT + ROW_GAP;
+  const rowHeight = (index) =>
+    rows[index].type === "item" ? itemHeight : rows[index].type === "header" ? HEADER_HEIGHT : FOOTER_HEIGHT;
+
+  // Every row of a group is a drop target for that group.
+  const dropProps = (group) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      setDropTarget(group.key);
+    },
+    onDragLeave: () => setDropTarget((t) => (t === group.key ? null : t)),
+    onDrop: (e) => handleDrop(group, e),
+  });
+
+  const renderHeader = (group) => (
+    <div
+      {...dropProps(group)}
+      className={`h-full flex items-end justify-between text-xs font-semibold text-gray-500 uppercase tracking-wide ${compact ? "px-4" : "px-1"} pb-1 ${
+        dropTarget === group.key ? "bg-blue-50" : ""
+      }`}
+    >
+      <button
+        onClick={() => setCollapsed((c) => ({ ...c, [group.key]: !c[group.key] }))}
+        className="flex-1 text-left"
+      >
+        {collapsed[group.key] ? "▸" : "▾"} {group.label}
+        <span className="ml-1 font-normal">({group.items.length})</span>
+      </button>
+      {group.folder && (
+        <button
+          onClick={() => deleteFolder(group.folder)}
+          className="text-gray-400 hover:text-red-600 normal-case font-normal"
+          title="Delete folder (sessions move to Chats)"
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  );
+
+  const renderItem = (group, item) => {
+    const m = meta.sessions[item.id] || {};
+    const isActive = activeId === item.id;
+    return (
+      <div {...dropProps(group)} className={`h-full ${compact ? "" : "pb-2"} ${dropTarget === group.key ? "bg-blue-50" : ""}`}>
+        <div
+          draggable={renamingId !== item.id}
+          onDragStart={(e) => e.dataTransfer.setData("text/plain", item.id)}
+          onClick={() => renamingId !== item.id && onSelect(item.id)}
+          className={`group h-full flex items-center gap-1 ${compact ? "px-4" : "px-3"} cursor-pointer transition-colors ${
+            compact ? "" : "rounded-lg"
+          } ${isActive ? "bg-gray-100" : compact ? "hover:bg-gray-50" : "bg-gray-50 hover:bg-gray-100"}`}
+        >
+          {selected && (
+            <input
+              type="checkbox"
+              checked={selected.has(item.id)}
+              onChange={() => onToggleSelect(item.id)}
+              onClick={(e) => e.stopPropagation()}
+              aria-label="Select session"
+            />
+          )}
+          {renamingId === item.id ? (
+            <input
+              autoFocus
+              value={renameText}
+              onChange={(e) => setRenameText(e.target.value)}
+              onClick={(e) => e.stopPropagation()}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitRename();
+                else if (e.key === "Escape") setRenamingId(null);
+              }}
+              className="flex-1 border border-blue-400 rounded px-1 py-0.5"
+            />
+          ) : (
+            <span
+              className="flex-1 truncate text-gray-700"
+              onDoubleClick={(e) => startRename(item, e)}
+              title={displayTitle(meta, item.id, item.title)}
+            >
+              {displayTitle(meta, item.id, item.title)}
+            </span>
+          )}
+          {item.subtitle && !compact && (
+            <span className="hidden sm:inline text-xs text-gray-400 whitespace-nowrap">{item.subtitle}</span>
+          )}
+          <button
+            onClick={(e) => startRename(item, e)}
+            className="p-1 text-gray-400 hover:text-gray-700"
+            title="Rename"
+          >
+            ✏️
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              updateSessionMeta(item.id, { pinned: !m.pinned });
+            }}
+            className={`p-1 ${m.pinned ? "" : "opacity-40 hover:opacity-100"}`}
+            title={m.pinned ? "Unpin" : "Pin to top"}
+          >
+            📌
+          </button>
+          <button
+            onClick={(e) => onDelete(item.id, e)}
+            className="p-1 text-red-500 hover:text-red-700"
+            title="Delete session"
+          >
+            🗑️
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderFooter = () => (
+    <div className={`h-full flex items-center ${compact ? "px-4" : "px-1"}`}>
+      {newFolder === null ? (
+        <button onClick={() => setNewFolder("")} className="text-blue-600 hover:underline text-xs">
+          + New folder
+        </button>
+      ) : (
+        <input
+          autoFocus
+          placeholder="Folder name"
+          value={newFolder}
+          onChange={(e) => setNewFolder(e.target.value)}
+          onBlur={commitFolder}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitFolder();
+            else if (e.key === "Escape") setNewFolder(null);
+          }}
+          className="w-full border border-gray-300 rounded px-2 py-1 text-xs"
+        />
+      )}
+    </div>
+  );
+
+  return (
+    <VirtualList
+      count={rows.length}
+      itemHeight={rowHeight}
+      getKey={(index) => {
+        const row = rows[index];
+        return row.type === "item" ? `item:${row.item.id}` : row.type === "header" ? `header:${row.group.key}` : row.type;
+      }}
+      renderItem={(index) => {
+        const row = rows[index];
+        if (row.type === "header") return renderHeader(row.group);
+        if (row.type === "item") return renderItem(row.group, row.item);
+        if (row.type === "more") {
+          return <div className="h-full flex items-center justify-center text-xs text-gray-400">Loading more…</div>;
+        }
+        return renderFooter();
+      }}
+      onEndReached={hasMore ? onEndReached : undefined}
+      className={`text-sm ${className}`}
+      style={style}
+    />
+  );
+}
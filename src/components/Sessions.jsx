@@ -1,90 +1,247 @@
-import { useState, useEffect } from "react";
+import { useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { Button } from "../ui/Button.jsx";
 import { Card } from "../ui/Card.jsx";
-import API_BASE from "../config";
+import SessionList from "./SessionList.jsx";
+import SearchBox from "./SearchBox.jsx";
+import { DEFAULT_VIEW, deleteWithUndo, useSessionSummaries } from "../utils/sessionSummaries";
+import { groupSessions, updateSessionMeta, useSessionMeta } from "../utils/sessionMeta";
+import { FORMATS, ImportError, downloadSessions, importSessions, loadExportSession } from "../utils/conversationExport";
+import { toast } from "../utils/toast";
+import { confirmDialog } from "../utils/dialog";
+import { sessionPath } from "../utils/sessionLinks";
+
+const SORTS = { newest: "Newest first", oldest: "Oldest first", messages: "Most messages", title: "Title A–Z" };
+const MODES = { all: "All modes", chat: "💬 Chat", web_search: "🌐 Web search" };
+// Select values are strings; these map them back to view fields.
+const PERIODS = { any: ["Any time", null], day: ["Last 24 hours", 1], week: ["Last 7 days", 7], month: ["Last 30 days", 30] };
+const LENGTHS = { any: ["Any length", 0], short: ["4+ messages", 4], long: ["10+ messages", 10], huge: ["50+ messages", 50] };
+
+const describe = (s) =>
+  [
+    s.mode === "web_search" && "🌐",
+    s.messageCount !== null && `${s.messageCount} messages`,
+    s.updatedAt && new Date(s.updatedAt).toLocaleDateString(),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+const optionFor = (options, value) => Object.keys(options).find((key) => options[key][1] === value) || "any";
 
 export default function Sessions() {
-  const [sessions, setSessions] = useState([]);
   const navigate = useNavigate();
+  const meta = useSessionMeta();
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const { sessions, hasMore, loading, loadMore, refresh } = useSessionSummaries({
+    view,
+    onError: () => toast.error("Failed to load sessions", { action: { label: "Retry", onClick: () => refresh() } }),
+  });
+  const [selected, setSelected] = useState(new Set());
+  const [exporting, setExporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Only what is on screen counts; filtered-out or deleted sessions drop out
+  // of the selection instead of being acted on invisibly.
+  const selectedIds = sessions.map((s) => s.id).filter((id) => selected.has(id));
+  const allSelected = sessions.length > 0 && selectedIds.length === sessions.length;
+  // Same targets as dragging onto a group header.
+  const moveTargets = groupSessions([], meta);
+
+  const handleDelete = async (sessionId, e) => {
+    e.stopPropagation();
+    const confirmed = await confirmDialog({
+      title: "Delete this session?",
+      message: "It can be restored from the notification for a few seconds.",
+      confirmLabel: "Delete",
+      danger: true,
+    });
+    if (confirmed) deleteWithUndo([sessionId]);
+  };
+
+  const handleBulkDelete = async () => {
+    const ids = selectedIds;
+    const confirmed = await confirmDialog({
+      title: ids.length === 1 ? "Delete 1 session?" : `Delete ${ids.length} sessions?`,
+      message: "They can be restored from the notification for a few seconds.",
+      confirmLabel: "Delete",
+      danger: true,
+    });
+    if (!confirmed) return;
+    deleteWithUndo(ids);
+    setSelected(new Set());
+  };
 
-  const fetchSessions = async () => {
+  const handleMove = (key) => {
+    const target = moveTargets.find((g) => g.key === key);
+    if (!target) return;
+    selectedIds.forEach((id) => updateSessionMeta(id, target.drop));
+    toast.success(`Moved ${selectedIds.length} ${selectedIds.length === 1 ? "session" : "sessions"} to ${target.label}`);
+  };
+
+  const changeView = (patch) => setView((v) => ({ ...v, ...patch }));
+
+  const toggleSelect = (id) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
     try {
-      const res = await fetch(`${API_BASE}/sessions`);
-      const data = await res.json();
-      const sessionDetails = await Promise.all(
-        data.sessions.map(async (sessionId) => {
-          const sessionRes = await fetch(`${API_BASE}/sessions/${sessionId}`);
-          const sessionData = await sessionRes.json();
-          const userMessage = sessionData.messages.find(m => m.role === "user")?.content || "No user message";
-          return { id: sessionId, prompt: userMessage };
-        })
-      );
-      setSessions(sessionDetails);
+      downloadSessions(await Promise.all(selectedIds.map(loadExportSession)), format);
     } catch (err) {
-      console.error("Error fetching sessions:", err);
-      alert("Failed to load sessions");
+      console.error("Error exporting sessions:", err);
+      toast.error(`Failed to export sessions: ${err.message}`);
+    } finally {
+      setExporting(false);
     }
   };
 
-  const handleDelete = async (sessionId, e) => {
-    e.stopPropagation();
-    if (!confirm("Are you sure you want to delete this session?")) return;
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
     try {
-      const res = await fetch(`${API_BASE}/sessions/${sessionId}`, {
-        method: "DELETE",
-      });
-      if (res.ok) {
-        setSessions(prev => prev.filter(s => s.id !== sessionId));
-      } else {
-        alert("Failed to delete session");
-      }
+      const ids = await importSessions(await file.text());
+      if (ids.length === 1) navigate(sessionPath(ids[0]));
+      else toast.success(`Imported ${ids.length} sessions`);
     } catch (err) {
-      console.error("Error deleting session:", err);
-      alert("Failed to delete session");
+      console.error("Error importing sessions:", err);
+      toast.error(err instanceof ImportError ? err.message : "Failed to import sessions");
     }
   };
 
-  useEffect(() => {
-    fetchSessions();
-  }, []);
-
   return (
     <div className="p-3 sm:p-6 max-w-5xl mx-auto w-full">
       <Card>
-        <h2 className="text-lg sm:text-xl font-bold mb-4">📂 Sessions</h2>
-        <ul className="space-y-2 max-h-[50vh] sm:max-h-[60vh] overflow-y-auto">
-          {sessions.map((s) => (
-            <li
-              key={s.id}
-              className="flex items-center justify-between p-3 bg-gray-50 hover:bg-gray-100 rounded-lg cursor-pointer transition-colors"
-              onClick={() => navigate(`/sessions/${s.id}`)}
-            >
-              <span className="text-sm sm:text-base truncate flex-1">{s.prompt}</span>
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <h2 className="text-lg sm:text-xl font-bold flex-1">📂 Sessions</h2>
+          {selectedIds.length > 0 && (
+            <>
+              <span className="text-xs text-gray-500">{selectedIds.length} selected</span>
               <button
-                onClick={(e) => handleDelete(s.id, e)}
-                className="p-2 text-red-600 hover:text-red-800"
-                title="Delete session"
+                onClick={handleBulkDelete}
+                className="text-xs border border-red-300 text-red-600 rounded px-2 py-1 hover:bg-red-50"
+              >
+                🗑️ Delete
+              </button>
+              <select
+                value=""
+                onChange={(e) => handleMove(e.target.value)}
+                className="text-xs border border-gray-300 rounded px-1 py-1"
+                aria-label="Move selected sessions"
               >
-                <svg
-                  className="w-5 h-5"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                  xmlns="http://www.w3.org/2000/svg"
+                <option value="" disabled>
+                  Move to…
+                </option>
+                {moveTargets.map((g) => (
+                  <option key={g.key} value={g.key}>
+                    {g.label}
+                  </option>
+                ))}
+              </select>
+              <span className="text-xs text-gray-500">export as</span>
+              {Object.entries(FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  disabled={exporting}
+                  onClick={() => handleExport(format)}
+                  className="text-xs border border-gray-300 rounded px-2 py-1 hover:bg-gray-50 disabled:opacity-50"
                 >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth="2"
-                    d="M6 18L18 6M6 6l12 12"
-                  />
-                </svg>
+                  {label}
+                </button>
+              ))}
+              <button onClick={() => setSelected(new Set())} className="text-xs text-gray-500 hover:underline">
+                Clear
               </button>
-            </li>
-          ))}
-        </ul>
+            </>
+          )}
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="text-xs border border-gray-300 rounded px-2 py-1 hover:bg-gray-50"
+            title="Import a JSON export as new sessions"
+          >
+            ⬆️ Import
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+        <SearchBox
+          onOpen={({ sessionId, index }) => navigate(sessionPath(sessionId, index + 1))}
+        />
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+          <label className="flex items-center gap-1 text-gray-600 mr-auto">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              disabled={!sessions.length}
+              onChange={() => setSelected(allSelected ? new Set() : new Set(sessions.map((s) => s.id)))}
+            />
+            Select all
+          </label>
+          <select
+            value={view.sort}
+            onChange={(e) => changeView({ sort: e.target.value })}
+            className="border border-gray-300 rounded px-1 py-1"
+            aria-label="Sort sessions"
+          >
+            {Object.entries(SORTS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={view.mode}
+            onChange={(e) => changeView({ mode: e.target.value })}
+            className="border border-gray-300 rounded px-1 py-1"
+            aria-label="Filter by mode"
+          >
+            {Object.entries(MODES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={optionFor(PERIODS, view.since)}
+            onChange={(e) => changeView({ since: PERIODS[e.target.value][1] })}
+            className="border border-gray-300 rounded px-1 py-1"
+            aria-label="Filter by date"
+          >
+            {Object.entries(PERIODS).map(([value, [label]]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={optionFor(LENGTHS, view.minMessages)}
+            onChange={(e) => changeView({ minMessages: LENGTHS[e.target.value][1] })}
+            className="border border-gray-300 rounded px-1 py-1"
+            aria-label="Filter by message count"
+          >
+            {Object.entries(LENGTHS).map(([value, [label]]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <SessionList
+          sessions={sessions.map((s) => ({ id: s.id, title: s.title || s.prompt, subtitle: describe(s) }))}
+          onSelect={(id) => navigate(sessionPath(id))}
+          onDelete={handleDelete}
+          selected={selected}
+          onToggleSelect={toggleSelect}
+          hasMore={hasMore}
+          loading={loading}
+          onEndReached={loadMore}
+          className="max-h-[50vh] sm:max-h-[60vh]"
+        />
       </Card>
     </div>
   );
-}
\ No newline at end of file
+}
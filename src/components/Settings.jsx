@@ -0,0 +1,155 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { Button } from "../ui/Button.jsx";
+import { Card } from "../ui/Card.jsx";
+import { DEFAULT_PROFILES } from "../config";
+import {
+  getProfiles,
+  getActiveProfileName,
+  setActiveProfile,
+  saveProfile,
+  resetProfile,
+  subscribe,
+} from "../utils/api";
+import { getStages, isStageEnabled, setStageEnabled, resetStages } from "../utils/textPipeline";
+
+const readStageFlags = () =>
+  Object.fromEntries(getStages().map((stage) => [stage.id, isStageEnabled(stage)]));
+
+export default function Settings() {
+  const [profiles, setProfiles] = useState(getProfiles);
+  const [active, setActive] = useState(getActiveProfileName);
+  const [drafts, setDrafts] = useState({});
+  const [newName, setNewName] = useState("");
+  const [newUrl, setNewUrl] = useState("");
+  const [stageFlags, setStageFlags] = useState(readStageFlags);
+
+  useEffect(() => subscribe(() => {
+    setProfiles(getProfiles());
+    setActive(getActiveProfileName());
+  }), []);
+
+  const handleSave = (name) => {
+    const baseUrl = drafts[name]?.trim();
+    if (!baseUrl) return;
+    saveProfile(name, { baseUrl });
+    setDrafts((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleToggleStage = (id, enabled) => {
+    setStageEnabled(id, enabled);
+    setStageFlags(readStageFlags());
+  };
+
+  const handleResetStages = () => {
+    resetStages();
+    setStageFlags(readStageFlags());
+  };
+
+  const handleAdd = () => {
+    const name = newName.trim().toLowerCase().replace(/\s+/g, "-");
+    if (!name || !newUrl.trim() || profiles[name]) return;
+    saveProfile(name, { label: newName.trim(), baseUrl: newUrl.trim() });
+    setNewName("");
+    setNewUrl("");
+  };
+
+  return (
+    <div className="p-3 sm:p-6 max-w-3xl mx-auto w-full">
+      <Card>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg sm:text-xl font-bold">⚙️ Backend</h2>
+          <Link to="/" className="text-sm text-blue-600 hover:underline">
+            ← Back to chat
+          </Link>
+        </div>
+        <ul className="space-y-3">
+          {Object.entries(profiles).map(([name, profile]) => {
+            const draft = drafts[name];
+            return (
+              <li key={name} className="p-3 bg-gray-50 rounded-lg">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="profile"
+                    checked={active === name}
+                    onChange={() => setActiveProfile(name)}
+                  />
+                  <span className="font-medium">{profile.label || name}</span>
+                  {active === name && (
+                    <span className="text-xs text-blue-600">active</span>
+                  )}
+                </label>
+                <div className="flex items-center gap-2 mt-2">
+                  <input
+                    className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    value={draft ?? profile.baseUrl}
+                    onChange={(e) => setDrafts((prev) => ({ ...prev, [name]: e.target.value }))}
+                    onKeyDown={(e) => e.key === "Enter" && handleSave(name)}
+                  />
+                  {draft !== undefined && draft !== profile.baseUrl && (
+                    <Button onClick={() => handleSave(name)} className="text-sm py-1">
+                      Save
+                    </Button>
+                  )}
+                  <Button variant="outline" onClick={() => resetProfile(name)} className="text-sm py-1">
+                    {DEFAULT_PROFILES[name] ? "Reset" : "Remove"}
+                  </Button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+        <div className="flex flex-col sm:flex-row gap-2 mt-4">
+          <input
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            placeholder="Profile name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+          <input
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+            placeholder="https://…"
+            value={newUrl}
+            onChange={(e) => setNewUrl(e.target.value)}
+          />
+          <Button onClick={handleAdd} className="text-sm py-1">
+            Add profile
+          </Button>
+        </div>
+      </Card>
+      <Card className="mt-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-lg sm:text-xl font-bold">📝 Answer formatting</h2>
+          <Button variant="outline" onClick={handleResetStages} className="text-sm py-1">
+            Reset
+          </Button>
+        </div>
+        <p className="text-sm text-gray-500 mb-3">
+          Clean-up steps applied to assistant answers before they are rendered, in order.
+        </p>
+        <ul className="space-y-1">
+          {getStages().map((stage) => (
+            <li key={stage.id}>
+              <label className="flex items-start gap-2 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={stageFlags[stage.id]}
+                  disabled={stage.locked}
+                  onChange={(e) => handleToggleStage(stage.id, e.target.checked)}
+                />
+                <span>
+                  <span className="font-medium">{stage.label}</span>
+                  {stage.description && (
+                    <span className="block text-gray-500">{stage.description}</span>
+                  )}
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      </Card>
+    </div>
+  );
+}
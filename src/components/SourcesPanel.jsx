@@ -0,0 +1,93 @@
+import { useState, useEffect, useRef } from "react";
+
+// Sources come from the server; only link out to http(s) URLs.
+const safeUrl = (url) => (/^https?:\/\//i.test(url || "") ? url : undefined);
+
+// Collapsible list of the sources a web search answer was built from.
+// `highlighted` is `{ n }` for a clicked [n] marker (n is 1-based); the
+// panel opens, scrolls to that source and highlights it. Every click passes
+// a new object, so clicking the same marker again re-opens a closed panel.
+export default function SourcesPanel({ sources, highlighted }) {
+  const [open, setOpen] = useState(false);
+  const itemRefs = useRef([]);
+
+  useEffect(() => {
+    if (!highlighted) return;
+    setOpen(true);
+    // Wait for the list to render before scrolling to the entry.
+    requestAnimationFrame(() => {
+      itemRefs.current[highlighted.n - 1]?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    });
+  }, [highlighted]);
+
+  if (!sources?.length) return null;
+
+  return (
+    <div style={{
+      marginTop: '12px',
+      borderTop: '1px solid #bfdbfe',
+      paddingTop: '8px',
+      fontSize: '13px'
+    }}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        style={{
+          background: 'none',
+          border: 'none',
+          padding: 0,
+          color: '#2563eb',
+          fontWeight: '500',
+          cursor: 'pointer',
+          fontSize: '13px'
+        }}
+      >
+        {open ? "▾" : "▸"} Sources ({sources.length})
+      </button>
+      {open && (
+        <ol style={{ listStyle: 'none', padding: 0, margin: '8px 0 0', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {sources.map((source, i) => (
+            <li
+              key={i}
+              id={`source-${i + 1}`}
+              ref={(el) => (itemRefs.current[i] = el)}
+              style={{
+                display: 'flex',
+                gap: '8px',
+                padding: '6px 8px',
+                borderRadius: '6px',
+                backgroundColor: highlighted?.n === i + 1 ? '#dbeafe' : 'transparent',
+                transition: 'background-color 0.3s'
+              }}
+            >
+              <span style={{ color: '#6b7280', minWidth: '20px' }}>[{i + 1}]</span>
+              {safeUrl(source.favicon) && (
+                <img
+                  src={safeUrl(source.favicon)}
+                  alt=""
+                  width={16}
+                  height={16}
+                  style={{ marginTop: '2px' }}
+                  onError={(e) => (e.currentTarget.style.display = 'none')}
+                />
+              )}
+              <div style={{ minWidth: 0 }}>
+                <a
+                  href={safeUrl(source.url)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{ color: '#1e40af', fontWeight: '500', textDecoration: 'none' }}
+                >
+                  {source.title || source.url}
+                </a>
+                {source.snippet && (
+                  <div style={{ color: '#4b5563', marginTop: '2px' }}>{source.snippet}</div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
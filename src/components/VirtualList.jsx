@@ -0,0 +1,245 @@
+import { useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from "react";
+
+// How long scrollToIndex keeps correcting the position while rows around the
+// target are measured.
+const SETTLE_TIME = 1000;
+// Scrolled this close to the bottom still counts as being at the end.
+const END_SLACK = 32;
+
+// Scroll container that only mounts the rows in (or near) view, so lists with
+// thousands of entries stay cheap. Rows either have known heights,
+// `itemHeight(index)` in pixels, or are measured once mounted: pass
+// `estimateHeight(index)` instead, which is used until then. Measurements are
+// kept per `getKey`. When a row above the viewport turns out taller or
+// shorter than estimated, the scroll position moves with it, so what is on
+// screen stays put.
+//
+// `onEndReached` fires when the user scrolls within `endThreshold` pixels of
+// the bottom, or when the rows do not fill the viewport yet.
+// `onAtEndChange(atEnd)` reports scrolling to and away from the very bottom.
+//
+// `ref` receives `{ scrollToIndex(index, { align }) }`. It brings a row to
+// the "start", "center" or "end" of the viewport and keeps it there while
+// the rows around it are measured, until the user scrolls. Rows taller than
+// the viewport are centered by their start instead.
+export default function VirtualList({
+  ref,
+  count,
+  itemHeight,
+  estimateHeight,
+  renderItem,
+  getKey = (index) => index,
+  overscan = 6,
+  endThreshold = 200,
+  onEndReached,
+  onAtEndChange,
+  className = "",
+  style,
+}) {
+  const measured = !itemHeight;
+  const containerRef = useRef(null);
+  const innerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(0);
+  // Distance from the top of the scroll area to the first row (padding).
+  const [base, setBase] = useState(0);
+  const sizesRef = useRef(new Map());
+  // Measured heights by key. The map lives in sizesRef so the row observer
+  // can update it in place; a new wrapper is stored whenever it changed.
+  const [sizes, setSizes] = useState({ byKey: sizesRef.current });
+  // Scroll offset still owed for rows above the viewport that changed size.
+  const shiftRef = useRef(0);
+  const targetRef = useRef(null);
+  const atEndRef = useRef(true);
+
+  // offsets[i] is the top of row i; offsets[count] is the total height.
+  const offsets = useMemo(() => {
+    const heightOf = measured ? (i) => sizes.byKey.get(getKey(i)) ?? estimateHeight(i) : itemHeight;
+    const result = [0];
+    for (let i = 0; i < count; i++) result.push(result[i] + heightOf(i));
+    return result;
+  }, [count, itemHeight, estimateHeight, getKey, measured, sizes]);
+  const total = offsets[count];
+
+  const latest = useRef(null);
+  latest.current = { offsets, count, getKey, estimateHeight };
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const measure = () => {
+      setViewport(el.clientHeight);
+      setBase(innerRef.current?.offsetTop || 0);
+    };
+    measure();
+    if (typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (onEndReached && viewport && base + total - (scrollTop + viewport) < endThreshold) onEndReached();
+  }, [onEndReached, scrollTop, viewport, base, total, endThreshold]);
+
+  // Where the container has to scroll to for `target`.
+  const positionOf = ({ index, align }) => {
+    const el = containerRef.current;
+    const { offsets: rows, count: rowCount } = latest.current;
+    const max = el.scrollHeight - el.clientHeight;
+    if (index >= rowCount) return max;
+    const top = (innerRef.current?.offsetTop || 0) + rows[index];
+    const height = rows[index + 1] - rows[index];
+    let position = top;
+    if (align === "center" && height > el.clientHeight) position = top;
+    else if (align === "center") position = top + height / 2 - el.clientHeight / 2;
+    else if (align === "end") position = index === rowCount - 1 ? max : top + height - el.clientHeight;
+    return Math.max(0, Math.min(max, position));
+  };
+
+  useImperativeHandle(ref, () => ({
+    scrollToIndex(index, { align = "start" } = {}) {
+      const el = containerRef.current;
+      if (!el) return;
+      targetRef.current = { index, align, until: Date.now() + SETTLE_TIME };
+      el.scrollTop = positionOf(targetRef.current);
+      setScrollTop(el.scrollTop);
+    },
+  }));
+
+  // One observer for every mounted row, created by the first row's ref
+  // (refs attach before effects run); rows register through their ref.
+  const rowObserverRef = useRef(null);
+  const rowInfo = useRef(new WeakMap());
+  const rowObserver = () => {
+    if (rowObserverRef.current || typeof ResizeObserver === "undefined") return rowObserverRef.current;
+    rowObserverRef.current = new ResizeObserver((entries) => {
+      const { offsets: rows, estimateHeight: estimate } = latest.current;
+      const byKey = sizesRef.current;
+      const view = (containerRef.current?.scrollTop || 0) - (innerRef.current?.offsetTop || 0);
+      let changed = false;
+      for (const entry of entries) {
+        const info = rowInfo.current.get(entry.target);
+        if (!info) continue;
+        const height = entry.target.offsetHeight;
+        const previous = byKey.get(info.key) ?? estimate(info.index);
+        byKey.set(info.key, height);
+        if (height === previous) continue;
+        if (rows[info.index] < view) shiftRef.current += height - previous;
+        changed = true;
+      }
+      if (changed) setSizes({ byKey });
+    });
+    return rowObserverRef.current;
+  };
+
+  useEffect(
+    () => () => {
+      rowObserverRef.current?.disconnect();
+      rowObserverRef.current = null;
+    },
+    []
+  );
+
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    if (shiftRef.current) {
+      el.scrollTop += shiftRef.current;
+      shiftRef.current = 0;
+    }
+    const target = targetRef.current;
+    if (target && Date.now() > target.until) targetRef.current = null;
+    else if (target) el.scrollTop = positionOf(target);
+  });
+
+  // One ref callback per row key, kept while the row is mounted, so
+  // re-rendering (on every streamed frame) does not detach and re-observe
+  // the rows. The entry is also the row's info for the observer and follows
+  // its index as rows are added above it.
+  const rowEntries = useRef(new Map());
+  const rowRef = (key, index) => {
+    let entry = rowEntries.current.get(key);
+    if (!entry) {
+      entry = {
+        key,
+        index,
+        ref: (el) => {
+          const observer = rowObserver();
+          if (!el || !observer) return;
+          rowEntries.current.set(key, entry);
+          rowInfo.current.set(el, entry);
+          observer.observe(el);
+          return () => {
+            observer.unobserve(el);
+            rowEntries.current.delete(key);
+          };
+        },
+      };
+      rowEntries.current.set(key, entry);
+    }
+    entry.index = index;
+    return entry.ref;
+  };
+
+  // First row whose bottom edge is below `y`.
+  const rowAt = (y) => {
+    let lo = 0;
+    let hi = count;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (offsets[mid + 1] <= y) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  // Before the first measurement, render a screenful rather than nothing.
+  const visibleHeight = viewport || 800;
+  const start = Math.max(0, rowAt(scrollTop - base) - overscan);
+  const end = Math.min(count, rowAt(scrollTop - base + visibleHeight) + 1 + overscan);
+
+  const rows = [];
+  for (let i = start; i < end; i++) {
+    const key = getKey(i);
+    rows.push(
+      measured ? (
+        <div key={key} ref={rowRef(key, i)} style={{ position: "absolute", top: offsets[i], left: 0, right: 0 }}>
+          {renderItem(i)}
+        </div>
+      ) : (
+        <div key={key} style={{ position: "absolute", top: offsets[i], left: 0, right: 0, height: offsets[i + 1] - offsets[i] }}>
+          {renderItem(i)}
+        </div>
+      )
+    );
+  }
+
+  // The user taking over the scrollbar ends scrollToIndex's corrections.
+  const release = () => {
+    targetRef.current = null;
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) => {
+        const el = e.currentTarget;
+        setScrollTop(el.scrollTop);
+        const atEnd = el.scrollHeight - el.scrollTop - el.clientHeight <= END_SLACK;
+        if (atEnd !== atEndRef.current) {
+          atEndRef.current = atEnd;
+          onAtEndChange?.(atEnd);
+        }
+      }}
+      onWheel={release}
+      onTouchMove={release}
+      onPointerDown={release}
+      onKeyDown={release}
+      className={className}
+      style={{ overflowY: "auto", position: "relative", overflowAnchor: "none", ...style }}
+    >
+      <div ref={innerRef} style={{ position: "relative", height: total }}>{rows}</div>
+    </div>
+  );
+}
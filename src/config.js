@@ -1,3 +1,17 @@
-const API_BASE ="https://nova-app-30ha.onrender.com"; 
+// Backend base URLs come from Vite env variables (.env.local etc.) and can be
+// overridden per profile at runtime from the settings screen (see utils/api.js).
+const env = import.meta.env;
+
+const API_BASE = env.VITE_API_BASE || "https://nova-app-30ha.onrender.com";
+
+export const DEFAULT_PROFILE = env.VITE_API_PROFILE || "prod";
+
+export const DEFAULT_PROFILES = {
+  local: { label: "Local", baseUrl: env.VITE_API_BASE_LOCAL || "http://localhost:8000" },
+  staging: { label: "Staging", baseUrl: env.VITE_API_BASE_STAGING || API_BASE },
+  prod: { label: "Production", baseUrl: API_BASE },
+};
+
+export const REQUEST_TIMEOUT = Number(env.VITE_API_TIMEOUT) || 30000;
+
 export default API_BASE;
-//export const API_URL = `${API_BASE}/api`;
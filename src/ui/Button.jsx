@@ -1,13 +1,15 @@
-export function Button({ children, onClick, variant = "solid", className = "" }) {
+export function Button({ children, onClick, variant = "solid", className = "", type = "button", ...props }) {
   const base =
-    "px-4 py-2 rounded-2xl font-medium transition-colors shadow-sm";
+    "px-4 py-2 rounded-2xl font-medium transition-colors shadow-sm disabled:opacity-50 disabled:cursor-not-allowed";
   const variants = {
     solid: "bg-blue-600 text-white hover:bg-blue-700",
     outline: "border border-blue-600 text-blue-600 hover:bg-blue-50",
+    danger: "bg-red-600 text-white hover:bg-red-700",
+    ghost: "text-gray-700 hover:bg-gray-100 shadow-none",
   };
   return (
-    <button onClick={onClick} className={`${base} ${variants[variant]} ${className}`}>
+    <button type={type} onClick={onClick} className={`${base} ${variants[variant]} ${className}`} {...props}>
       {children}
     </button>
   );
-}
\ No newline at end of file
+}
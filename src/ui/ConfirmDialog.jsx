@@ -0,0 +1,83 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "./Button.jsx";
+import { Card } from "./Card.jsx";
+import { subscribeDialog } from "../utils/dialog";
+
+// Modal host for utils/dialog's confirmDialog(). Focus moves into the dialog
+// (to Cancel for destructive actions), Tab stays inside it, Escape or a click
+// on the backdrop cancels, and focus returns to where it was on close.
+export function ConfirmDialog() {
+  const [dialog, setDialog] = useState(null);
+  const panelRef = useRef(null);
+  const cancelRef = useRef(null);
+  const confirmRef = useRef(null);
+
+  useEffect(() => subscribeDialog(setDialog), []);
+
+  useEffect(() => {
+    if (!dialog) return;
+    const previous = document.activeElement;
+    (dialog.danger ? cancelRef : confirmRef).current?.focus();
+    return () => previous?.focus?.();
+  }, [dialog]);
+
+  if (!dialog) return null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      dialog.resolve(false);
+    } else if (e.key === "Tab") {
+      const focusable = panelRef.current.querySelectorAll("button");
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+      onMouseDown={(e) => e.target === e.currentTarget && dialog.resolve(false)}
+    >
+      <div
+        ref={panelRef}
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="confirm-dialog-title"
+        aria-describedby={dialog.message ? "confirm-dialog-message" : undefined}
+        onKeyDown={handleKeyDown}
+        className="w-full max-w-sm"
+      >
+        <Card className="p-6">
+          <h2 id="confirm-dialog-title" className="text-lg font-semibold text-gray-900">
+            {dialog.title}
+          </h2>
+          {dialog.message && (
+            <p id="confirm-dialog-message" className="mt-2 text-sm text-gray-600">
+              {dialog.message}
+            </p>
+          )}
+          <div className="mt-6 flex justify-end gap-2">
+            <Button ref={cancelRef} variant="ghost" onClick={() => dialog.resolve(false)}>
+              {dialog.cancelLabel}
+            </Button>
+            <Button
+              ref={confirmRef}
+              variant={dialog.danger ? "danger" : "solid"}
+              onClick={() => dialog.resolve(true)}
+            >
+              {dialog.confirmLabel}
+            </Button>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import { useEffect, useState } from "react";
+import { dismissToast, subscribeToasts } from "../utils/toast";
+
+const STYLES = {
+  info: "border-gray-200 bg-white text-gray-800",
+  success: "border-green-200 bg-green-50 text-green-900",
+  error: "border-red-200 bg-red-50 text-red-900",
+};
+const ICONS = { info: "ℹ️", success: "✅", error: "⚠️" };
+
+// Renders toasts from utils/toast in the bottom-right corner. Errors are
+// announced assertively, everything else politely.
+export function Toaster() {
+  const [toasts, setToasts] = useState([]);
+  useEffect(() => subscribeToasts(setToasts), []);
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]">
+      {toasts.map((t) => (
+        <div
+          key={t.id}
+          role={t.type === "error" ? "alert" : "status"}
+          aria-live={t.type === "error" ? "assertive" : "polite"}
+          className={`flex items-start gap-2 rounded-xl border shadow-lg px-4 py-3 text-sm ${STYLES[t.type]}`}
+        >
+          <span aria-hidden="true">{ICONS[t.type]}</span>
+          <span className="flex-1 break-words">{t.message}</span>
+          {t.action && (
+            <button
+              onClick={() => {
+                dismissToast(t.id);
+                t.action.onClick();
+              }}
+              className="font-semibold underline whitespace-nowrap"
+            >
+              {t.action.label}
+            </button>
+          )}
+          <button onClick={() => dismissToast(t.id)} className="opacity-60 hover:opacity-100" aria-label="Dismiss">
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
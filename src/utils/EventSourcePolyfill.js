@@ -1,27 +1,45 @@
+import { readEventStream } from "./sse";
+
+// EventSource-like wrapper that supports POST bodies and custom headers.
+// Named events go to listeners added with addEventListener(type, fn),
+// unnamed ones to onmessage, mirroring the native API.
 export default class EventSourcePolyfill {
   constructor(url, options) {
+    this.url = url;
+    this.lastEventId = "";
+    this.reconnectInterval = null;
+    this.listeners = {};
     this.controller = new AbortController();
+
     fetch(url, {
       ...options,
       signal: this.controller.signal,
-    }).then(async (res) => {
-      if (!res.body) return;
-      const reader = res.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-        const parts = buffer.split("\n\n");
-        buffer = parts.pop();
-        for (const part of parts) {
-          if (part.startsWith("data:")) {
-            this.onmessage?.({ data: part.slice(5).trim() });
-          }
-        }
-      }
-    });
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error(`Request failed: ${res.status}`);
+        if (!res.body) return;
+        this.onopen?.(res);
+        return readEventStream(res, {
+          onEvent: (event) => {
+            this.lastEventId = event.lastEventId;
+            if (event.type === "message") this.onmessage?.(event);
+            (this.listeners[event.type] || []).forEach((fn) => fn(event));
+          },
+          onRetry: (ms) => {
+            this.reconnectInterval = ms;
+          },
+          onParseError: (err) => this.onerror?.(err),
+        });
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") this.onerror?.(err);
+      });
+  }
+  addEventListener(type, fn) {
+    (this.listeners[type] ||= []).push(fn);
+  }
+  removeEventListener(type, fn) {
+    this.listeners[type] = (this.listeners[type] || []).filter((l) => l !== fn);
   }
   close() {
     this.controller.abort();
@@ -0,0 +1,262 @@
+import { DEFAULT_PROFILE, DEFAULT_PROFILES, REQUEST_TIMEOUT } from "../config";
+import { fetchResumableEventStream } from "./sse";
+import { isTransientError, withRetry } from "./retry";
+
+// Central API client. Every request to the backend goes through here so the
+// base URL, default headers, timeouts and error decoding live in one place.
+
+const PROFILES_KEY = "nova.backendProfiles";
+const ACTIVE_PROFILE_KEY = "nova.activeProfile";
+
+const listeners = new Set();
+
+export class ApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const readStorage = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error("Failed to persist backend settings:", err);
+  }
+};
+
+// Built-in profiles merged with the user's overrides and custom profiles.
+export const getProfiles = () => {
+  const stored = readStorage(PROFILES_KEY, {});
+  const profiles = {};
+  for (const [name, profile] of Object.entries({ ...DEFAULT_PROFILES, ...stored })) {
+    profiles[name] = { ...DEFAULT_PROFILES[name], ...profile };
+  }
+  return profiles;
+};
+
+export const saveProfile = (name, profile) => {
+  const stored = readStorage(PROFILES_KEY, {});
+  writeStorage(PROFILES_KEY, { ...stored, [name]: { ...stored[name], ...profile } });
+  notify();
+};
+
+// Drops the user's override; built-in profiles fall back to their env value.
+export const resetProfile = (name) => {
+  const stored = readStorage(PROFILES_KEY, {});
+  delete stored[name];
+  writeStorage(PROFILES_KEY, stored);
+  if (!getProfiles()[getActiveProfileName()]) setActiveProfile(DEFAULT_PROFILE);
+  notify();
+};
+
+export const getActiveProfileName = () => {
+  const name = readStorage(ACTIVE_PROFILE_KEY, DEFAULT_PROFILE);
+  return getProfiles()[name] ? name : DEFAULT_PROFILE;
+};
+
+export const setActiveProfile = (name) => {
+  writeStorage(ACTIVE_PROFILE_KEY, name);
+  notify();
+};
+
+export const getActiveProfile = () => getProfiles()[getActiveProfileName()];
+
+export const getApiBase = () => (getActiveProfile()?.baseUrl || "").replace(/\/+$/, "");
+
+export const apiUrl = (path) => `${getApiBase()}${path}`;
+
+// Subscribe to profile changes so views can refetch without a page reload.
+// Signing in as someone else (or out) counts as a change too; see authChanged.
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+function notify() {
+  listeners.forEach((listener) => listener(getActiveProfile()));
+}
+
+// Set by utils/auth. `headers()` resolves the Authorization header for the
+// next request, `refresh()` resolves true if it could renew the token after a
+// 401, and `onUnauthorized()` runs when it could not. Without a provider
+// every request is anonymous.
+let authProvider = {
+  headers: async () => ({}),
+  refresh: async () => false,
+  onUnauthorized: () => {},
+};
+
+export const setAuthProvider = (provider) => {
+  authProvider = { ...authProvider, ...provider };
+};
+
+// The signed-in user changed: what the backend returns is someone else's now.
+export const authChanged = () => notify();
+
+// Runs `attempt(headers)` with the current credentials, and once more with
+// renewed ones if the backend answers 401 and `canRepeat()` allows it.
+// Requests made with `auth: false` (the auth endpoints themselves) go out as
+// they are.
+async function withAuth(useAuth, attempt, canRepeat = () => true) {
+  if (!useAuth) return attempt({});
+  try {
+    return await attempt(await authProvider.headers());
+  } catch (err) {
+    if (err.status !== 401) throw err;
+    if (!(await authProvider.refresh())) {
+      authProvider.onUnauthorized();
+      throw err;
+    }
+    if (!canRepeat()) throw err;
+  }
+  try {
+    return await attempt(await authProvider.headers());
+  } catch (err) {
+    if (err.status === 401) authProvider.onUnauthorized();
+    throw err;
+  }
+}
+
+const defaultHeaders = () => ({
+  Accept: "application/json",
+  ...getActiveProfile()?.headers,
+});
+
+// Combines the caller's abort signal with a timeout.
+const withTimeout = (signal, timeout) => {
+  const controller = new AbortController();
+  const timer = timeout ? setTimeout(() => controller.abort(new ApiError("Request timed out", 0)), timeout) : null;
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+  };
+};
+
+// Pulls the most useful message out of a failed response body.
+const decodeError = async (res) => {
+  let body = null;
+  try {
+    const text = await res.text();
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = text;
+    }
+  } catch {
+    // body already consumed or unreadable
+  }
+  const detail =
+    (body && typeof body === "object" && (body.detail || body.error || body.message)) ||
+    (typeof body === "string" && body.trim()) ||
+    res.statusText;
+  const message = typeof detail === "string" ? detail : JSON.stringify(detail);
+  return new ApiError(message ? `${message} (${res.status})` : `Request failed: ${res.status}`, res.status, body);
+};
+
+// GETs are retried on transient failures unless the browser knows it is
+// offline; pass `retries` to change that.
+const worthRetrying = (err) => isTransientError(err) && globalThis.navigator?.onLine !== false;
+
+export function request(
+  path,
+  { method = "GET", retries = method === "GET" ? 2 : 0, signal, auth = true, ...options } = {}
+) {
+  return withRetry(
+    () => withAuth(auth, (authHeaders) => send(path, { method, signal, ...options, authHeaders })),
+    { retries, signal, shouldRetry: worthRetrying }
+  );
+}
+
+// `keepalive` lets the request outlive the page, for requests sent on unload.
+async function send(path, { method, body, headers, authHeaders, timeout = REQUEST_TIMEOUT, signal, keepalive }) {
+  const { signal: timedSignal, clear } = withTimeout(signal, timeout);
+  const isJson = body !== undefined && !(body instanceof FormData) && typeof body !== "string";
+
+  try {
+    const res = await fetch(apiUrl(path), {
+      method,
+      headers: {
+        ...defaultHeaders(),
+        ...authHeaders,
+        ...(isJson && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: isJson ? JSON.stringify(body) : body,
+      signal: timedSignal,
+      keepalive,
+    });
+
+    if (!res.ok) throw await decodeError(res);
+    if (res.status === 204) return null;
+
+    const text = await res.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  } catch (err) {
+    // fetch rejects with the abort reason, so a timeout surfaces as ApiError.
+    if (err instanceof ApiError || err.name === "AbortError") throw err;
+    throw new ApiError(`Network error: ${err.message}`, 0);
+  } finally {
+    clear();
+  }
+}
+
+// Opens an SSE stream against the active backend. Streams are long-lived, so
+// the request timeout does not apply; callers cancel through `signal`.
+// Credentials are looked up again for every reconnect. Only a stream that
+// never opened is repeated after a 401; the caller has seen tokens otherwise.
+export function stream(path, { body, headers, handlers = {}, auth = true, ...options } = {}) {
+  let opened = false;
+  const onOpen = (response) => {
+    opened = true;
+    handlers.onOpen?.(response);
+  };
+  return withAuth(auth, () =>
+    fetchResumableEventStream(apiUrl(path), {
+      method: "POST",
+      ...options,
+      handlers: { ...handlers, onOpen },
+      headers: async () => ({
+        ...defaultHeaders(),
+        ...(auth && (await authProvider.headers())),
+        Accept: "text/event-stream",
+        "Content-Type": "application/json",
+        ...headers,
+      }),
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    }),
+    () => !opened
+  );
+}
+
+const api = {
+  get: (path, options) => request(path, { ...options, method: "GET" }),
+  post: (path, body, options) => request(path, { ...options, method: "POST", body }),
+  patch: (path, body, options) => request(path, { ...options, method: "PATCH", body }),
+  delete: (path, options) => request(path, { ...options, method: "DELETE" }),
+  stream,
+};
+
+export default api;
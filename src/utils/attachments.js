@@ -0,0 +1,137 @@
+import { extractPdfText } from "./pdfText";
+
+// Files attached to a prompt, as
+//   { id, name, type, size, kind, data, text, thumbnail }
+// where `kind` is "image", "pdf" or "text", `data` is the file as base64 and
+// `text` whatever could be read out of it here (text and code files, CSV,
+// most PDFs), so backends that cannot open files still see their content.
+// Images get a small JPEG `thumbnail` (a data URL) for the chat.
+//
+// They go out with the message as base64 parts:
+//   attachments: [{ name, type, size, data, text? }]
+// and are kept in localStorage without `data` and `text`, which can run to
+// megabytes; the text is kept in the offline cache (see utils/sessionData).
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 8;
+// Longer extracted text is cut off; the file itself still goes out whole.
+const MAX_TEXT = 200_000;
+const THUMBNAIL_SIZE = 160;
+
+const TEXT_EXTENSIONS = [
+  "txt", "md", "markdown", "csv", "tsv", "json", "jsonl", "xml", "yaml", "yml", "toml", "ini", "log",
+  "html", "htm", "css", "scss", "js", "jsx", "mjs", "cjs", "ts", "tsx", "py", "rb", "go", "rs", "java",
+  "kt", "c", "h", "cpp", "hpp", "cs", "php", "sh", "bash", "sql", "r", "swift", "lua", "tex", "diff",
+];
+const TEXT_TYPES = /^text\/|^application\/(json|xml|x-yaml|x-sh|javascript|sql)$/;
+
+// For the file picker.
+export const ACCEPT = ["image/*", "application/pdf", "text/*", ...TEXT_EXTENSIONS.map((ext) => `.${ext}`)].join(",");
+
+const extensionOf = (name = "") => (name.includes(".") ? name.split(".").pop().toLowerCase() : "");
+
+// Works on File objects and on stored attachments alike; null for files
+// that cannot be attached.
+export function kindOf({ name, type = "" }) {
+  if (type.startsWith("image/")) return "image";
+  if (type === "application/pdf" || extensionOf(name) === "pdf") return "pdf";
+  if (TEXT_TYPES.test(type) || TEXT_EXTENSIONS.includes(extensionOf(name))) return "text";
+  return null;
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Short type for a chip, e.g. "PNG", "PDF", "CSV".
+export function typeLabel(attachment) {
+  const kind = attachment.kind || kindOf(attachment);
+  if (kind === "image") return (attachment.type.split("/")[1] || "image").replace(/\+.*/, "").toUpperCase();
+  if (kind === "pdf") return "PDF";
+  return (extensionOf(attachment.name) || "text").toUpperCase();
+}
+
+// Something to show for an image: the thumbnail, or the file itself when
+// the backend's history carries it.
+export function previewOf(attachment) {
+  if ((attachment.kind || kindOf(attachment)) !== "image") return null;
+  return attachment.thumbnail || (attachment.data ? `data:${attachment.type};base64,${attachment.data}` : null);
+}
+
+const toBase64 = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+};
+
+async function thumbnailOf(file) {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const context = canvas.getContext("2d");
+    // JPEG has no transparency; keep it on white like the chat background.
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL("image/jpeg", 0.7);
+  } catch {
+    // E.g. SVGs, which createImageBitmap does not take everywhere.
+    return null;
+  }
+}
+
+async function textOf(file, kind, bytes) {
+  try {
+    const text = kind === "pdf" ? await extractPdfText(bytes) : new TextDecoder().decode(bytes);
+    return text.length > MAX_TEXT ? text.slice(0, MAX_TEXT) : text;
+  } catch (err) {
+    console.warn(`Could not read text from ${file.name}:`, err.message);
+    return "";
+  }
+}
+
+// Reads `file` into an attachment; throws with a message for the user when
+// it cannot be attached.
+export async function readAttachment(file) {
+  const kind = kindOf(file);
+  if (!kind) throw new Error("Only text, code, CSV, PDF and image files can be attached");
+  if (file.size > MAX_FILE_SIZE) throw new Error(`Files can be at most ${formatSize(MAX_FILE_SIZE)}`);
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const attachment = {
+    id: `a_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name || "attachment",
+    type: file.type || (kind === "pdf" ? "application/pdf" : "text/plain"),
+    size: file.size,
+    kind,
+    data: toBase64(bytes),
+  };
+  if (kind === "image") attachment.thumbnail = await thumbnailOf(file);
+  else attachment.text = await textOf(file, kind, bytes);
+  return attachment;
+}
+
+// The request body part for an attachment. Attachments reloaded from local
+// history have no data left; their name, and text where it was kept, still
+// go out.
+export const toRequestPart = ({ name, type, size, data, text }) => ({
+  name,
+  type,
+  size,
+  ...(data && { data }),
+  ...(text && { text }),
+});
+
+// What is stored of an attachment in localStorage.
+export function withoutData(attachment) {
+  const rest = { ...attachment };
+  delete rest.data;
+  delete rest.text;
+  return rest;
+}
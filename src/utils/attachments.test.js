@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { kindOf, toRequestPart, withoutData } from "./attachments";
+
+describe("kindOf", () => {
+  it("goes by the MIME type", () => {
+    expect(kindOf({ name: "photo", type: "image/png" })).toBe("image");
+    expect(kindOf({ name: "scan", type: "application/pdf" })).toBe("pdf");
+    expect(kindOf({ name: "notes", type: "text/plain" })).toBe("text");
+    expect(kindOf({ name: "data", type: "application/json" })).toBe("text");
+  });
+
+  it("falls back to the extension when the type is missing or generic", () => {
+    expect(kindOf({ name: "report.PDF", type: "" })).toBe("pdf");
+    expect(kindOf({ name: "main.rs", type: "application/octet-stream" })).toBe("text");
+    expect(kindOf({ name: "table.csv" })).toBe("text");
+  });
+
+  it("rejects files it cannot read", () => {
+    expect(kindOf({ name: "archive.zip", type: "application/zip" })).toBeNull();
+    expect(kindOf({ name: "README", type: "" })).toBeNull();
+  });
+});
+
+const attachment = {
+  id: "a_1",
+  name: "notes.txt",
+  type: "text/plain",
+  size: 5,
+  kind: "text",
+  data: "aGVsbG8=",
+  text: "hello",
+};
+
+describe("toRequestPart", () => {
+  it("sends the file and its text", () => {
+    expect(toRequestPart(attachment)).toEqual({
+      name: "notes.txt",
+      type: "text/plain",
+      size: 5,
+      data: "aGVsbG8=",
+      text: "hello",
+    });
+  });
+
+  it("leaves out what a stored attachment no longer has", () => {
+    expect(toRequestPart(withoutData(attachment))).toEqual({ name: "notes.txt", type: "text/plain", size: 5 });
+  });
+});
+
+describe("withoutData", () => {
+  it("drops the file and its text and keeps the rest", () => {
+    const image = { ...attachment, kind: "image", type: "image/png", thumbnail: "data:image/jpeg;base64,x" };
+    expect(withoutData(image)).toEqual({
+      id: "a_1",
+      name: "notes.txt",
+      type: "image/png",
+      size: 5,
+      kind: "image",
+      thumbnail: "data:image/jpeg;base64,x",
+    });
+  });
+
+  it("does not change the attachment it is given", () => {
+    withoutData(attachment);
+    expect(attachment.data).toBe("aGVsbG8=");
+    expect(attachment.text).toBe("hello");
+  });
+});
@@ -0,0 +1,134 @@
+import api, { authChanged, getActiveProfileName, setAuthProvider } from "./api";
+
+// Sign-in against the active backend, one account per backend profile.
+//
+//   POST /auth/login    { username, password } -> tokens
+//   POST /auth/refresh  { refresh_token }      -> tokens
+//   POST /auth/logout   { refresh_token }
+//
+// where tokens are { access_token, refresh_token, expires_in, user: { id, name } }.
+// The access token goes out as a bearer token on every request and stream
+// (see setAuthProvider in api.js) and is renewed shortly before it expires,
+// or after a 401. When renewing fails the user has to sign in again; their
+// identity is kept until then so caches stay theirs.
+//
+// Backends without auth never answer 401, so nobody is ever asked to sign in.
+
+const STORAGE_PREFIX = "nova.auth.";
+// Renew the access token this long before it runs out.
+const REFRESH_MARGIN = 30 * 1000;
+
+const listeners = new Set();
+let refreshing = null;
+
+const storageKey = () => `${STORAGE_PREFIX}${getActiveProfileName()}`;
+
+const readAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey())) || null;
+  } catch {
+    return null;
+  }
+};
+
+const writeAuth = (value) => {
+  try {
+    if (value) localStorage.setItem(storageKey(), JSON.stringify(value));
+    else localStorage.removeItem(storageKey());
+  } catch (err) {
+    console.error("Failed to persist sign-in:", err);
+  }
+};
+
+const fromTokens = (data, previousUser = null) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token || null,
+  expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+  user: data.user || previousUser,
+});
+
+// `reason` is "signed-in", "signed-out", "expired" (a session ran out) or
+// "required" (the backend wants a sign-in nobody has made yet).
+const emit = (reason) => listeners.forEach((listener) => listener(reason));
+
+export const subscribeAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// The user last signed in to the active backend, also after their session
+// expired; null if nobody is.
+export const getUser = () => readAuth()?.user || null;
+
+export const isSignedIn = () => !!readAuth()?.accessToken;
+
+// Key for data kept per backend and user, e.g. the offline cache.
+export const authScope = () => {
+  const user = getUser();
+  return user ? `${getActiveProfileName()}/${user.id}` : getActiveProfileName();
+};
+
+export async function login(username, password) {
+  const previous = getUser();
+  const data = await api.post("/auth/login", { username, password }, { auth: false });
+  const next = fromTokens(data);
+  writeAuth(next);
+  emit("signed-in");
+  if (previous?.id !== next.user?.id) authChanged();
+  return next.user;
+}
+
+export async function logout() {
+  const current = readAuth();
+  writeAuth(null);
+  refreshing = null;
+  if (current?.refreshToken) {
+    api
+      .post("/auth/logout", { refresh_token: current.refreshToken }, { auth: false })
+      .catch((err) => console.warn("Sign-out request failed:", err.message));
+  }
+  emit("signed-out");
+  authChanged();
+}
+
+// Renews the access token; concurrent callers share one request. Signing
+// out, or in as someone else, while it is under way replaces the refresh
+// token it was made with, and its answer is dropped.
+function refreshTokens() {
+  const current = readAuth();
+  if (!current?.refreshToken) return Promise.resolve(false);
+  if (refreshing) return refreshing;
+  const request = api
+    .post("/auth/refresh", { refresh_token: current.refreshToken }, { auth: false })
+    .then((data) => {
+      if (readAuth()?.refreshToken !== current.refreshToken) return isSignedIn();
+      writeAuth(fromTokens(data, current.user));
+      return true;
+    })
+    .catch((err) => {
+      console.warn("Token refresh failed:", err.message);
+      return false;
+    })
+    .finally(() => {
+      if (refreshing === request) refreshing = null;
+    });
+  refreshing = request;
+  return request;
+}
+
+setAuthProvider({
+  headers: async () => {
+    let current = readAuth();
+    if (current?.expiresAt && current.expiresAt - Date.now() < REFRESH_MARGIN) {
+      await refreshTokens();
+      current = readAuth();
+    }
+    return current?.accessToken ? { Authorization: `Bearer ${current.accessToken}` } : {};
+  },
+  refresh: refreshTokens,
+  onUnauthorized: () => {
+    const current = readAuth();
+    writeAuth(current?.user ? { user: current.user } : null);
+    emit(current?.accessToken ? "expired" : "required");
+  },
+});
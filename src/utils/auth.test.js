@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import api, { getActiveProfileName } from "./api";
+import { getUser, isSignedIn, login, logout } from "./auth";
+
+const tokens = (name, id = name) => ({
+  access_token: `access-${name}`,
+  refresh_token: `refresh-${name}`,
+  expires_in: 3600,
+  user: { id, name },
+});
+
+const json = (body) => new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json" } });
+
+// Stands in for the backend; /auth/refresh answers only once the test
+// calls `answerRefresh`, so something can happen while it is under way.
+let answerRefresh;
+let refreshStarted;
+
+beforeEach(() => {
+  const storage = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+  });
+  let started;
+  refreshStarted = new Promise((resolve) => {
+    started = resolve;
+  });
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url, { body }) => {
+      const { pathname } = new URL(url);
+      if (pathname === "/auth/refresh") {
+        started();
+        return new Promise((resolve) => {
+          answerRefresh = (data) => resolve(json(data));
+        });
+      }
+      if (pathname === "/auth/login") return json(tokens(JSON.parse(body).username));
+      return json({});
+    })
+  );
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+// Signs in as "ada" with an access token that is about to run out, so the
+// next request renews it first.
+const signInExpiring = () =>
+  localStorage.setItem(
+    `nova.auth.${getActiveProfileName()}`,
+    JSON.stringify({ accessToken: "access-ada", refreshToken: "refresh-ada", expiresAt: Date.now(), user: { id: "ada" } })
+  );
+
+describe("token refresh", () => {
+  it("renews an access token that is about to expire", async () => {
+    signInExpiring();
+    const request = api.get("/sessions");
+    await refreshStarted;
+    answerRefresh(tokens("ada-renewed", "ada"));
+    await request;
+    expect(fetch).toHaveBeenLastCalledWith(
+      expect.stringMatching(/\/sessions$/),
+      expect.objectContaining({ headers: expect.objectContaining({ Authorization: "Bearer access-ada-renewed" }) })
+    );
+  });
+
+  it("does not sign the user back in when they sign out meanwhile", async () => {
+    signInExpiring();
+    const request = api.get("/sessions");
+    await refreshStarted;
+    await logout();
+    answerRefresh(tokens("ada"));
+    await request;
+    expect(isSignedIn()).toBe(false);
+    expect(getUser()).toBeNull();
+  });
+
+  it("keeps the tokens of someone who signed in meanwhile", async () => {
+    signInExpiring();
+    const request = api.get("/sessions");
+    await refreshStarted;
+    await logout();
+    await login("grace", "secret");
+    answerRefresh(tokens("ada"));
+    await request;
+    expect(getUser()).toEqual({ id: "grace", name: "grace" });
+    expect(JSON.parse(localStorage.getItem(`nova.auth.${getActiveProfileName()}`)).accessToken).toBe("access-grace");
+  });
+});
@@ -0,0 +1,114 @@
+// Conversation history as a tree, so editing a prompt or regenerating an
+// answer adds a sibling branch instead of overwriting. Chat keeps rendering a
+// flat `messages` array (the active path); after every change that array is
+// merged back into the tree with mergePath, and switching branches reads a
+// new active path out of it.
+//
+// Shape (plain JSON so it can be persisted per session):
+//   { nodes: { [id]: { id, parent, message, children: [id], selected } },
+//     serverCount }
+// The virtual root has id "root" and no message.
+
+const ROOT = "root";
+
+export const createMessageId = () => `m_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+export const emptyTree = () => ({
+  nodes: { [ROOT]: { id: ROOT, parent: null, message: null, children: [], selected: 0 } },
+  serverCount: 0,
+});
+
+// Gives every message an id; server history has none, so use stable ones.
+export const withIds = (messages, prefix = "srv") =>
+  messages.map((m, i) => (m.id ? m : { ...m, id: `${prefix}_${i}` }));
+
+export function mergePath(tree, messages) {
+  const nodes = { ...tree.nodes };
+  let parentId = ROOT;
+  for (const message of messages) {
+    const parent = { ...nodes[parentId] };
+    const existing = nodes[message.id];
+    if (existing && existing.parent !== parentId) {
+      // An answer was slotted in before this message (e.g. a queued prompt
+      // got delivered); move it under its new parent.
+      const oldParent = nodes[existing.parent];
+      nodes[existing.parent] = {
+        ...oldParent,
+        children: oldParent.children.filter((c) => c !== message.id),
+        selected: 0,
+      };
+      nodes[message.id] = { ...existing, parent: parentId, message };
+      parent.children = [...parent.children, message.id];
+    } else if (existing) {
+      nodes[message.id] = { ...existing, message };
+    } else {
+      nodes[message.id] = { id: message.id, parent: parentId, message, children: [], selected: 0 };
+      parent.children = [...parent.children, message.id];
+    }
+    parent.selected = parent.children.indexOf(message.id);
+    nodes[parentId] = parent;
+    parentId = message.id;
+  }
+  return { ...tree, nodes };
+}
+
+// Removes the given nodes; their children move up to the removed node's parent.
+export function removeNodes(tree, ids) {
+  const nodes = { ...tree.nodes };
+  for (const id of ids) {
+    const node = nodes[id];
+    if (!node) continue;
+    const parent = nodes[node.parent];
+    const at = parent.children.indexOf(id);
+    const children = [...parent.children];
+    children.splice(at, 1, ...node.children);
+    nodes[parent.id] = { ...parent, children, selected: Math.min(parent.selected, Math.max(children.length - 1, 0)) };
+    for (const childId of node.children) nodes[childId] = { ...nodes[childId], parent: parent.id };
+    delete nodes[id];
+  }
+  return { ...tree, nodes };
+}
+
+// Applies `fn` to every message in the tree, e.g. to slim them down before
+// the tree is persisted.
+export const mapMessages = (tree, fn) => ({
+  ...tree,
+  nodes: Object.fromEntries(
+    Object.entries(tree.nodes).map(([id, node]) => [id, node.message ? { ...node, message: fn(node.message) } : node])
+  ),
+});
+
+export const fromMessages = (messages, serverCount = messages.length) => ({
+  ...mergePath(emptyTree(), messages),
+  serverCount,
+});
+
+// Messages along the selected child of every node, starting at the root.
+export function activePath(tree) {
+  const path = [];
+  let node = tree.nodes[ROOT];
+  while (node?.children.length) {
+    node = tree.nodes[node.children[node.selected] ?? node.children[node.children.length - 1]];
+    if (node) path.push(node.message);
+  }
+  return path;
+}
+
+export function siblingInfo(tree, id) {
+  const node = tree.nodes[id];
+  const siblings = node ? tree.nodes[node.parent]?.children || [] : [];
+  return { index: siblings.indexOf(id), count: siblings.length };
+}
+
+// Moves the parent's selection `delta` steps and returns the updated tree.
+export function selectSibling(tree, id, delta) {
+  const node = tree.nodes[id];
+  if (!node) return tree;
+  const parent = tree.nodes[node.parent];
+  const index = parent.children.indexOf(id) + delta;
+  if (index < 0 || index >= parent.children.length) return tree;
+  return {
+    ...tree,
+    nodes: { ...tree.nodes, [parent.id]: { ...parent, selected: index } },
+  };
+}
@@ -0,0 +1,202 @@
+import { FORMATS } from "./conversationExport";
+
+// Everything the composer's "/" commands and the Ctrl/Cmd+K palette can do,
+// in one list. A command is
+//   { name, icon, title, usage?, args?, choices?, when?, unavailable?, run }
+// where `args` is "required", "optional" or absent, `choices` lists the
+// accepted arguments as [{ value, label }], and `when(ctx)` says whether the
+// command applies right now (`unavailable` explains why not). `run(ctx, arg)`
+// gets the chat's command context (built in Chat) and the text after the
+// name, and may return a confirmation for a toast.
+//
+// Adding an entry here is all a new command needs: autocomplete, the
+// palette and the composer's key handling all read from this list.
+
+const EXPORT_CHOICES = Object.entries(FORMATS).map(([format, { label, extension }]) => ({
+  value: extension,
+  label,
+  format,
+}));
+
+export const COMMANDS = [
+  {
+    name: "web",
+    icon: "🌐",
+    title: "Toggle web search",
+    usage: "/web [on|off]",
+    args: "optional",
+    choices: [
+      { value: "on", label: "On" },
+      { value: "off", label: "Off" },
+    ],
+    run: (ctx, arg) => {
+      const on = arg ? arg === "on" : !ctx.webSearch;
+      ctx.setWebSearch(on);
+      return on ? "Web search on" : "Web search off";
+    },
+  },
+  {
+    name: "new",
+    icon: "➕",
+    title: "New chat",
+    run: (ctx) => ctx.newChat(),
+  },
+  {
+    name: "clear",
+    icon: "🧹",
+    title: "Clear the conversation, keeping its model and system prompt",
+    run: (ctx) => ctx.clear(),
+  },
+  {
+    name: "title",
+    icon: "✏️",
+    title: "Rename this chat",
+    usage: "/title <name>",
+    args: "required",
+    when: (ctx) => !!ctx.sessionId,
+    unavailable: "Send a message before naming the chat",
+    run: (ctx, arg) => {
+      ctx.rename(arg);
+      return `Renamed to “${arg}”`;
+    },
+  },
+  {
+    name: "export",
+    icon: "⬇️",
+    title: "Export this conversation",
+    usage: `/export ${EXPORT_CHOICES.map((c) => c.value).join("|")}`,
+    args: "required",
+    choices: EXPORT_CHOICES,
+    when: (ctx) => ctx.hasMessages,
+    unavailable: "There is nothing to export yet",
+    run: (ctx, arg) => ctx.exportAs(EXPORT_CHOICES.find((c) => c.value === arg).format),
+  },
+  {
+    name: "system",
+    icon: "🧭",
+    title: "Set the system prompt for this chat",
+    usage: "/system <prompt>",
+    args: "required",
+    run: (ctx, arg) => {
+      ctx.setSystemPrompt(arg);
+      return "System prompt set";
+    },
+  },
+  {
+    name: "settings",
+    icon: "⚙️",
+    title: "Model and generation settings",
+    run: (ctx) => ctx.openGenerationSettings(),
+  },
+  {
+    name: "outline",
+    icon: "📑",
+    title: "Show or hide the outline",
+    when: (ctx) => ctx.hasMessages,
+    unavailable: "There is no conversation to outline yet",
+    run: (ctx) => ctx.toggleOutline(),
+  },
+  {
+    name: "sessions",
+    icon: "🗂️",
+    title: "Manage all sessions",
+    run: (ctx) => ctx.navigate("/sessions"),
+  },
+  {
+    name: "backend",
+    icon: "🔌",
+    title: "Backend settings",
+    run: (ctx) => ctx.navigate("/settings"),
+  },
+  {
+    name: "signout",
+    icon: "👤",
+    title: "Sign out",
+    when: (ctx) => !!ctx.user,
+    unavailable: "Nobody is signed in",
+    run: (ctx) => ctx.signOut(),
+  },
+];
+
+const available = (command, ctx) => !command.when || command.when(ctx);
+
+// Splits "/name argument" into the command and its argument. Returns null
+// for anything else, including unknown names, which are sent as a message
+// like any other text; "//" escapes a leading slash.
+export function parseCommand(text) {
+  const match = text.match(/^\/([a-z]+)(?:\s+([\s\S]*))?$/i);
+  const command = match && COMMANDS.find((c) => c.name === match[1].toLowerCase());
+  return command ? { command, arg: (match[2] || "").trim() } : null;
+}
+
+// Runs `command`; throws with a message for the user when it does not apply
+// or its argument is missing or wrong.
+export function runCommand(command, ctx, arg = "") {
+  if (!available(command, ctx)) throw new Error(command.unavailable || `/${command.name} is not available here`);
+  const usage = `Usage: ${command.usage || `/${command.name}`}`;
+  if (command.args === "required" && !arg) throw new Error(usage);
+  if (!command.args && arg) throw new Error(usage);
+  if (arg && command.choices && !command.choices.some((c) => c.value === arg.toLowerCase())) throw new Error(usage);
+  return command.run(ctx, arg && command.choices ? arg.toLowerCase() : arg);
+}
+
+// Autocomplete for the composer while it holds "/na" or "/name ar". Each
+// suggestion is { key, label, description, completion, command, arg }:
+// `completion` is the composer text for Tab, and an `arg` of null means the
+// argument still has to be typed.
+export function commandSuggestions(text, ctx) {
+  const typingName = text.match(/^\/([a-z]*)$/i);
+  if (typingName) {
+    const prefix = typingName[1].toLowerCase();
+    return COMMANDS.filter((c) => c.name.startsWith(prefix) && available(c, ctx)).map((command) => ({
+      key: command.name,
+      label: command.usage || `/${command.name}`,
+      description: command.title,
+      completion: command.args ? `/${command.name} ` : `/${command.name}`,
+      command,
+      arg: command.args === "required" ? null : "",
+    }));
+  }
+  const typingChoice = text.match(/^\/([a-z]+)\s+(\S*)$/i);
+  const command = typingChoice && COMMANDS.find((c) => c.name === typingChoice[1].toLowerCase());
+  if (!command?.choices || !available(command, ctx)) return [];
+  const prefix = typingChoice[2].toLowerCase();
+  return command.choices
+    .filter((choice) => choice.value.startsWith(prefix))
+    .map((choice) => ({
+      key: `${command.name} ${choice.value}`,
+      label: `/${command.name} ${choice.value}`,
+      description: `${command.title}: ${choice.label}`,
+      completion: `/${command.name} ${choice.value}`,
+      command,
+      arg: choice.value,
+    }));
+}
+
+// Palette entries for the commands that apply right now, one per choice
+// where there are choices. Commands whose argument is free text are
+// started in the composer instead (`prefill`).
+export function paletteCommands(ctx) {
+  return COMMANDS.filter((command) => available(command, ctx)).flatMap((command) => {
+    if (command.choices && command.args === "required") {
+      return command.choices.map((choice) => ({
+        key: `command:${command.name}:${choice.value}`,
+        icon: command.icon,
+        label: `${command.title}: ${choice.label}`,
+        hint: `/${command.name} ${choice.value}`,
+        command,
+        arg: choice.value,
+      }));
+    }
+    return [
+      {
+        key: `command:${command.name}`,
+        icon: command.icon,
+        label: command.title,
+        hint: command.usage || `/${command.name}`,
+        command,
+        arg: command.args === "required" ? null : "",
+      },
+    ];
+  });
+}
@@ -0,0 +1,222 @@
+import hljsTheme from "highlight.js/styles/github.css?raw";
+import { cachedFetch } from "./offlineCache";
+import { addImportedSession, fetchSessionHistory } from "./importedSessions";
+import { renderMarkdownToHtml } from "./markdown";
+import { displayTitle, getSessionMeta } from "./sessionMeta";
+import { withStoredSources } from "./sessionData";
+import preprocessText from "./textPipeline";
+
+// Export of whole conversations as Markdown, JSON or a standalone HTML page,
+// and import of the JSON format back as new local sessions.
+//
+// JSON schema, version 1:
+//   { format: "nova-conversations", version: 1, exported_at,
+//     sessions: [{ session_id, title,
+//                  messages: [{ role, content, timestamp, is_web_search,
+//                               sources?: [{ title, url, snippet }] }] }] }
+// Only user and assistant messages are exported; error bubbles are local.
+
+export const EXPORT_FORMAT = "nova-conversations";
+export const EXPORT_VERSION = 1;
+
+export const FORMATS = {
+  markdown: { label: "Markdown", extension: "md", mime: "text/markdown" },
+  json: { label: "JSON", extension: "json", mime: "application/json" },
+  html: { label: "HTML", extension: "html", mime: "text/html" },
+};
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+const generateSessionId = () => "session_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+
+const cleanMessage = (m) => ({
+  role: m.role,
+  content: m.content || "",
+  timestamp: m.timestamp || null,
+  is_web_search: m.is_web_search ? 1 : 0,
+  ...(m.sources?.length && { sources: m.sources }),
+});
+
+// Builds an exportable session from messages already on screen.
+export const toExportSession = (sessionId, title, messages) => ({
+  session_id: sessionId,
+  title,
+  messages: messages.filter((m) => m.role === "user" || m.role === "assistant").map(cleanMessage),
+});
+
+// Loads a session for export, falling back to the offline cache.
+export async function loadExportSession(sessionId) {
+  const history = await cachedFetch(`history:${sessionId}`, () => fetchSessionHistory(sessionId), () => {});
+  const messages = withStoredSources(sessionId, history.messages || []);
+  const fallback = history.title || messages.find((m) => m.role === "user")?.content.slice(0, 40);
+  return toExportSession(sessionId, displayTitle(getSessionMeta(), sessionId, fallback), messages);
+}
+
+const roleLabel = (role) => (role === "user" ? "You" : "Assistant");
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : "");
+
+const escapeHtml = (text = "") =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const safeUrl = (url) => (/^https?:\/\//i.test(url || "") ? url : null);
+
+export function toJson(sessions) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, exported_at: new Date().toISOString(), sessions },
+    null,
+    2
+  );
+}
+
+// Assistant text goes through the formatting pipeline so LaTeX ends up in
+// the $…$ / $$…$$ delimiters Markdown tools understand.
+export function toMarkdown(sessions) {
+  return sessions
+    .map((session) => {
+      const parts = [`# ${session.title}`, `*Exported from Nova on ${new Date().toLocaleString()}*`];
+      for (const m of session.messages) {
+        const time = formatTime(m.timestamp);
+        parts.push(`### ${roleLabel(m.role)}${time ? ` · ${time}` : ""}`);
+        parts.push(m.role === "assistant" ? preprocessText(m.content).trim() : m.content.trim());
+        if (m.sources?.length) {
+          parts.push(
+            "**Sources**\n\n" + m.sources.map((s, i) => `${i + 1}. [${s.title || s.url}](${s.url})`).join("\n")
+          );
+        }
+      }
+      return parts.join("\n\n");
+    })
+    .join("\n\n---\n\n")
+    .concat("\n");
+}
+
+const HTML_STYLES = `
+body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2937; background: #f9fafb; margin: 0; line-height: 1.6; }
+main { max-width: 860px; margin: 0 auto; padding: 32px 16px; }
+h1 { font-size: 24px; margin: 0 0 4px; }
+.meta { color: #6b7280; font-size: 13px; margin: 0 0 24px; }
+.message { border-radius: 12px; padding: 16px; margin: 0 0 16px; border: 1px solid #e5e7eb; background: #fff; }
+.message.user { background: #eef2ff; border-color: #c7d2fe; }
+.message header { font-size: 12px; color: #6b7280; margin-bottom: 8px; font-weight: 600; }
+.content table { border-collapse: collapse; width: 100%; }
+.content th, .content td { border: 1px solid #e5e7eb; padding: 8px; }
+.content pre { background: #f6f8fa; border-radius: 8px; padding: 12px; overflow-x: auto; }
+.content code { font-family: ui-monospace, SFMono-Regular, monospace; font-size: 14px; }
+.content blockquote { border-left: 3px solid #d1d5db; margin: 12px 0; padding-left: 12px; color: #6b7280; }
+.sources { font-size: 13px; color: #4b5563; margin: 12px 0 0; padding-left: 20px; }
+article + article { margin-top: 48px; }
+@media print {
+  body { background: #fff; }
+  main { max-width: none; padding: 0; }
+  .message { break-inside: avoid; border-color: #d1d5db; }
+  .content pre { white-space: pre-wrap; }
+  article + article { break-before: page; margin-top: 0; }
+  a { color: inherit; }
+}
+`;
+
+// A single HTML file with math pre-rendered as MathML and all styles inline,
+// so it opens anywhere without network access.
+export function toHtml(sessions) {
+  const articles = sessions.map((session) => {
+    const messages = session.messages.map((m) => {
+      const sources = m.sources?.length
+        ? `<ol class="sources">${m.sources
+            .map((s) => {
+              const url = safeUrl(s.url);
+              const label = escapeHtml(s.title || s.url);
+              return `<li>${url ? `<a href="${escapeHtml(url)}">${label}</a>` : label}</li>`;
+            })
+            .join("")}</ol>`
+        : "";
+      return `<section class="message ${m.role}">
+<header>${roleLabel(m.role)}${m.timestamp ? ` · ${escapeHtml(formatTime(m.timestamp))}` : ""}</header>
+<div class="content">${renderMarkdownToHtml(m.content, { role: m.role })}</div>${sources}
+</section>`;
+    });
+    return `<article>
+<h1>${escapeHtml(session.title)}</h1>
+<p class="meta">${session.messages.length} messages · exported ${escapeHtml(new Date().toLocaleString())}</p>
+${messages.join("\n")}
+</article>`;
+  });
+  const title = sessions.length === 1 ? sessions[0].title : `${sessions.length} Nova conversations`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}${hljsTheme}</style>
+</head>
+<body>
+<main>
+${articles.join("\n")}
+</main>
+</body>
+</html>
+`;
+}
+
+const slugify = (text) =>
+  (text || "conversation")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "conversation";
+
+// Serialises `sessions` in `format` and hands the file to the browser.
+export function downloadSessions(sessions, format) {
+  const { extension, mime } = FORMATS[format];
+  const content = format === "json" ? toJson(sessions) : format === "html" ? toHtml(sessions) : toMarkdown(sessions);
+  const name =
+    sessions.length === 1
+      ? slugify(sessions[0].title)
+      : `nova-conversations-${new Date().toISOString().slice(0, 10)}`;
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${name}.${extension}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Validates a JSON export and returns its sessions.
+export function parseExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError("The file is not valid JSON.");
+  }
+  if (data?.format !== EXPORT_FORMAT) throw new ImportError("The file is not a Nova conversation export.");
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new ImportError(`Unsupported export version ${data.version}; this app reads up to version ${EXPORT_VERSION}.`);
+  }
+  if (!Array.isArray(data.sessions)) throw new ImportError("The export has no sessions.");
+  return data.sessions.map((session, i) => {
+    if (!Array.isArray(session?.messages)) throw new ImportError(`Session ${i + 1} has no messages.`);
+    const messages = session.messages.filter(
+      (m) => (m?.role === "user" || m?.role === "assistant") && typeof m.content === "string"
+    );
+    return { title: typeof session.title === "string" ? session.title : null, messages: messages.map(cleanMessage) };
+  });
+}
+
+// Imports a JSON export as new local sessions under the active profile.
+// Resolves with the new session ids.
+export async function importSessions(text) {
+  const ids = [];
+  for (const session of parseExport(text)) {
+    const sessionId = generateSessionId();
+    const title = session.title || session.messages.find((m) => m.role === "user")?.content.slice(0, 40) || "Imported chat";
+    await addImportedSession({ session_id: sessionId, title, messages: session.messages });
+    ids.push(sessionId);
+  }
+  return ids;
+}
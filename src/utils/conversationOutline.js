@@ -0,0 +1,56 @@
+// Table of contents for a conversation: every prompt, and under it the
+// headings of the answer. Entries are { index, level, text }, where `index`
+// is the message's position and `level` is 0 for prompts and the heading
+// depth (1-3) for answers.
+//
+// Headings are found with a line scan rather than a Markdown parse, which is
+// enough for ATX headings and cheap enough to redo while an answer streams.
+// Results are kept per message object, so only the streaming one is rescanned.
+
+const MAX_LENGTH = 80;
+
+const cache = new WeakMap();
+
+const clip = (text) => (text.length > MAX_LENGTH ? `${text.slice(0, MAX_LENGTH - 1)}…` : text);
+
+// Drops the inline Markdown a heading is likely to carry.
+const plain = (text) =>
+  text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`~]+/g, "")
+    .replace(/\s+#+\s*$/, "")
+    .trim();
+
+function headingsOf(content) {
+  const headings = [];
+  let fence = null;
+  for (const line of content.split("\n")) {
+    const marker = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) fence = marker[1][0];
+      else if (marker[1][0] === fence) fence = null;
+      continue;
+    }
+    if (fence) continue;
+    const heading = line.match(/^\s{0,3}(#{1,3})\s+(.+)$/);
+    if (heading && plain(heading[2])) headings.push({ level: heading[1].length, text: clip(plain(heading[2])) });
+  }
+  return headings;
+}
+
+function entriesOf(message) {
+  if (message.role === "user") {
+    const firstLine = (message.content || "").trim().split("\n")[0];
+    const files = message.attachments?.map((a) => a.name).join(", ");
+    return [{ level: 0, text: clip(plain(firstLine)) || (files ? clip(`📎 ${files}`) : "(empty prompt)") }];
+  }
+  if (message.role === "assistant") return headingsOf(message.content || "");
+  return [];
+}
+
+export function buildOutline(messages) {
+  return messages.flatMap((message, index) => {
+    if (!cache.has(message)) cache.set(message, entriesOf(message));
+    return cache.get(message).map((entry) => ({ ...entry, index }));
+  });
+}
@@ -0,0 +1,33 @@
+// Promise-based replacement for window.confirm(), rendered by the
+// <ConfirmDialog> host mounted in App. Only one dialog is open at a time;
+// asking again while one is open cancels the first.
+
+let current = null;
+const listeners = new Set();
+
+const emit = () => listeners.forEach((listener) => listener(current));
+
+export const subscribeDialog = (listener) => {
+  listeners.add(listener);
+  listener(current);
+  return () => listeners.delete(listener);
+};
+
+// Resolves true when confirmed, false when cancelled.
+// Options: { title, message, confirmLabel, cancelLabel, danger }
+export function confirmDialog(options) {
+  current?.resolve(false);
+  return new Promise((resolve) => {
+    current = {
+      confirmLabel: "OK",
+      cancelLabel: "Cancel",
+      ...options,
+      resolve: (value) => {
+        current = null;
+        emit();
+        resolve(value);
+      },
+    };
+    emit();
+  });
+}
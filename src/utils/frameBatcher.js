@@ -0,0 +1,25 @@
+// Coalesces calls into at most one per animation frame. A stream can deliver
+// hundreds of tokens between two repaints; rendering once per frame keeps the
+// work proportional to what the screen can show.
+export function frameBatcher(flush) {
+  let frame = null;
+  const run = () => {
+    frame = null;
+    flush();
+  };
+  return {
+    schedule() {
+      if (frame === null) frame = requestAnimationFrame(run);
+    },
+    // Runs a pending flush now, e.g. before showing an error under the text.
+    flush() {
+      if (frame === null) return;
+      cancelAnimationFrame(frame);
+      run();
+    },
+    cancel() {
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+    },
+  };
+}
@@ -0,0 +1,81 @@
+import api from "./api";
+import { loadSessionData, saveSessionData } from "./sessionData";
+
+// Model and sampling settings, chosen per session and sent along with every
+// chat and web search request as model=, system_prompt=, temperature=,
+// top_p= and max_tokens=. A null (or empty) value is left out of the request,
+// so the backend uses its own default. Backends that ignore the fields still
+// answer, just without them.
+//
+// Settings live in the session's local data (see sessionData) under
+// "generation"; a new chat starts from the defaults.
+
+export const DEFAULT_GENERATION = { model: null, systemPrompt: "", temperature: null, topP: null, maxTokens: null };
+
+export const LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.1 },
+  topP: { min: 0, max: 1, step: 0.05 },
+  maxTokens: { min: 1, max: 32000, step: 1 },
+};
+
+// Presets only touch the sampling settings; model and system prompt stay.
+export const PRESETS = {
+  precise: { label: "Precise", values: { temperature: 0.2, topP: 0.9 } },
+  balanced: { label: "Balanced", values: { temperature: 0.7, topP: 1 } },
+  creative: { label: "Creative", values: { temperature: 1.2, topP: 1 } },
+};
+
+export const loadGeneration = (sessionId) => ({
+  ...DEFAULT_GENERATION,
+  ...loadSessionData(sessionId, "generation", {}),
+});
+
+export const saveGeneration = (sessionId, settings) => saveSessionData(sessionId, "generation", settings);
+
+export const isDefaultGeneration = (settings) =>
+  Object.keys(DEFAULT_GENERATION).every((key) => (settings[key] || null) === (DEFAULT_GENERATION[key] || null));
+
+// The preset `settings` currently matches, if any.
+export const presetOf = (settings) =>
+  Object.keys(PRESETS).find((key) =>
+    Object.entries(PRESETS[key].values).every(([field, value]) => settings[field] === value)
+  ) || null;
+
+// Request body fields for `settings`.
+export function generationParams(settings) {
+  const params = {};
+  if (settings.model?.trim()) params.model = settings.model.trim();
+  if (settings.systemPrompt?.trim()) params.system_prompt = settings.systemPrompt;
+  if (settings.temperature !== null) params.temperature = settings.temperature;
+  if (settings.topP !== null) params.top_p = settings.topP;
+  if (settings.maxTokens !== null) params.max_tokens = settings.maxTokens;
+  return params;
+}
+
+// Short summary for the chat header, e.g. "nova-pro · Precise · 512 tok".
+export function generationBadge(settings) {
+  if (isDefaultGeneration(settings)) return null;
+  const preset = presetOf(settings);
+  const parts = [settings.model];
+  if (preset) parts.push(PRESETS[preset].label);
+  else {
+    if (settings.temperature !== null) parts.push(`T ${settings.temperature}`);
+    if (settings.topP !== null) parts.push(`p ${settings.topP}`);
+  }
+  if (settings.maxTokens !== null) parts.push(`${settings.maxTokens} tok`);
+  if (settings.systemPrompt?.trim()) parts.push("system prompt");
+  return parts.filter(Boolean).join(" · ");
+}
+
+// Models the backend offers, from GET /models as { models: [{ id, label }] }.
+// Backends without the endpoint get an empty list; any model name can still
+// be typed in.
+export async function fetchModels() {
+  try {
+    const data = await api.get("/models");
+    return (data.models || []).map((m) => (typeof m === "string" ? { id: m, label: m } : { label: m.id, ...m }));
+  } catch (err) {
+    if (err.status === 404) return [];
+    throw err;
+  }
+}
@@ -0,0 +1,53 @@
+import api from "./api";
+import { deleteCache, onCacheWrite, readCache, writeCache } from "./offlineCache";
+
+// Sessions imported from a JSON export start out only in this browser, under
+// the backend profile that was active at import time. The imported messages
+// are kept under "imported:<id>" and always shown in front of whatever the
+// backend stores for that id, which is nothing until a message is sent in
+// the session. The "imported" list makes them show up in the session list.
+
+const KEY = "imported";
+
+export const readImported = async () => (await readCache(KEY)) || [];
+
+// GET /sessions/:id, with an imported conversation's messages in front.
+export async function fetchSessionHistory(id) {
+  const imported = await readCache(`imported:${id}`);
+  if (!imported) return api.get(`/sessions/${id}`);
+  let server = { messages: [] };
+  try {
+    server = await api.get(`/sessions/${id}`);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+  return { ...server, session_id: id, title: imported.title, imported: true, messages: [...imported.messages, ...server.messages] };
+}
+
+// `session` is a { session_id, title, messages } history.
+export async function addImportedSession(session) {
+  await writeCache(`imported:${session.session_id}`, session);
+  await writeCache(`history:${session.session_id}`, { ...session, imported: true });
+  const summary = {
+    session_id: session.session_id,
+    title: session.title,
+    first_prompt: session.messages.find((m) => m.role === "user")?.content || null,
+    message_count: session.messages.length,
+    mode: session.messages.some((m) => m.is_web_search) ? "web_search" : "chat",
+    updated_at: session.messages[session.messages.length - 1]?.timestamp || new Date().toISOString(),
+  };
+  await writeCache(KEY, [summary, ...(await readImported()).filter((s) => s.session_id !== session.session_id)]);
+}
+
+export async function removeImportedSession(id) {
+  const list = await readImported();
+  if (!list.some((s) => s.session_id === id)) return;
+  await writeCache(KEY, list.filter((s) => s.session_id !== id));
+  await deleteCache(`imported:${id}`);
+}
+
+// Calls `listener(list)` whenever the imported list changes.
+export const onImportedChange = (listener) =>
+  onCacheWrite((key, value) => {
+    if (key === KEY) listener(value || []);
+  });
@@ -0,0 +1,114 @@
+import { unified } from "unified";
+import remarkParse from "remark-parse";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import remarkBreaks from "remark-breaks";
+import remarkRehype from "remark-rehype";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+import rehypeKatex from "rehype-katex";
+import rehypeHighlight from "rehype-highlight";
+import rehypeStringify from "rehype-stringify";
+import { visit } from "unist-util-visit";
+import preprocessText from "./textPipeline";
+import remarkCitations from "./remarkCitations";
+
+// Markdown settings shared by the message renderer (through its worker) and
+// the HTML export.
+//
+// Raw HTML in a message is never parsed: remarkHtmlAsText turns it into
+// plain text before the hast tree is built, so "use the <div> tag", "Vec<T>"
+// or a pasted <script> show up literally instead of being dropped.
+// The hast tree is sanitized with GitHub's schema before KaTeX and
+// highlight.js run. They come last because their output relies on classes
+// and inline styles the schema strips; the schema only has to let the math
+// placeholders from remark-math and the language-* classes through.
+export const sanitizeSchema = {
+  ...defaultSchema,
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [["className", /^language-./, "math-inline", "math-display"]],
+  },
+};
+
+const remarkHtmlAsText = () => (tree) => {
+  visit(tree, "html", (node) => {
+    node.type = "text";
+  });
+};
+
+export const remarkPlugins = [remarkGfm, remarkMath, remarkHtmlAsText];
+export const rehypePlugins = [[rehypeSanitize, sanitizeSchema], rehypeKatex, rehypeHighlight];
+
+// Runs a message through the same pipeline react-markdown would and returns
+// the hast tree, ready for hast-util-to-jsx-runtime. Pure and synchronous, so
+// it runs unchanged in the markdown worker and in its main-thread fallback.
+// `citations` is the number of sources [n] markers may link to; `overrides`
+// are the pipeline stage toggles (see textPipeline).
+export function markdownToHast(content, { role = "assistant", citations = 0, overrides } = {}) {
+  const isAssistant = role === "assistant";
+  const plugins = isAssistant ? [...remarkPlugins] : [...remarkPlugins, remarkBreaks];
+  if (citations) plugins.push([remarkCitations, { count: citations }]);
+  const processor = unified()
+    .use(remarkParse)
+    .use(plugins)
+    .use(remarkRehype)
+    .use(rehypePlugins);
+  const text = isAssistant ? preprocessText(content, { overrides }) : content || "";
+  return processor.runSync(processor.parse(text));
+}
+
+// Renders a message to an HTML string the way MessageRenderer shows it.
+// Math is emitted as MathML so the result needs neither KaTeX's CSS nor its
+// fonts, which keeps exported files self-contained.
+export function renderMarkdownToHtml(content, { role = "assistant" } = {}) {
+  const isAssistant = role === "assistant";
+  return unified()
+    .use(remarkParse)
+    .use(isAssistant ? remarkPlugins : [...remarkPlugins, remarkBreaks])
+    .use(remarkRehype)
+    .use(rehypeSanitize, sanitizeSchema)
+    .use(rehypeKatex, { output: "mathml" })
+    .use(rehypeHighlight)
+    .use(rehypeStringify)
+    .processSync(isAssistant ? preprocessText(content) : content || "")
+    .toString();
+}
+
+// Splits Markdown into top-level blocks at blank lines so a streaming answer
+// only has to re-parse its last block. Fenced code and display math
+// ($$…$$, \[…\], \begin…\end) are never cut. Lists or indented code with
+// blank lines inside come out as several blocks, which is why a finished
+// message is still rendered in one piece.
+export function splitBlocks(text = "") {
+  const blocks = [];
+  let current = [];
+  let fence = null;
+  let math = false;
+  let environments = 0;
+
+  for (const line of text.split("\n")) {
+    const trimmed = line.trim();
+    const marker = trimmed.match(/^(`{3,}|~{3,})/)?.[1];
+    if (fence) {
+      if (marker && marker[0] === fence[0] && marker.length >= fence.length && trimmed === marker) fence = null;
+    } else if (marker) {
+      fence = marker;
+    } else {
+      if ((trimmed.match(/\$\$/g) || []).length % 2) math = !math;
+      if (/\\\[/.test(trimmed) && !/\\\]/.test(trimmed)) math = true;
+      else if (/\\\]/.test(trimmed) && !/\\\[/.test(trimmed)) math = false;
+      environments = Math.max(
+        0,
+        environments + (trimmed.match(/\\begin\{/g) || []).length - (trimmed.match(/\\end\{/g) || []).length
+      );
+      if (trimmed === "" && !math && !environments) {
+        if (current.length) blocks.push(current.join("\n"));
+        current = [];
+        continue;
+      }
+    }
+    current.push(line);
+  }
+  if (current.length) blocks.push(current.join("\n"));
+  return blocks;
+}
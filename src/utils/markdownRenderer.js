@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from "react";
+import { markdownToHast } from "./markdown";
+import { getStageOverrides } from "./textPipeline";
+
+// Message Markdown is parsed in a Web Worker: preprocessing, remark-math and
+// KaTeX on a long answer take long enough to make typing stutter. The worker
+// returns a hast tree and the page only turns it into React elements.
+//
+// Requests go to the worker one at a time; callers abort the ones that went
+// stale, so a streaming message does not queue every intermediate state.
+// A request that takes longer than
+// RENDER_TIMEOUT, e.g. a pipeline regex backtracking forever, costs only
+// that worker: it is replaced and the message falls back to plain text.
+// Where workers are unavailable, trees are built synchronously instead;
+// that fallback cannot be interrupted.
+
+const RENDER_TIMEOUT = 4000;
+const CACHE_SIZE = 300;
+// Cached in place of a tree for content that timed out or threw.
+const FAILED = null;
+
+export class RenderTimeoutError extends Error {
+  constructor() {
+    super(`Rendering took longer than ${RENDER_TIMEOUT} ms`);
+    this.name = "RenderTimeoutError";
+  }
+}
+
+const cache = new Map();
+const queue = [];
+let worker = null;
+let current = null;
+let nextId = 1;
+let workersAvailable = typeof Worker !== "undefined";
+
+const keyOf = (content, options) => JSON.stringify([options.role, options.citations || 0, options.overrides, content]);
+
+const remember = (key, tree) => {
+  cache.delete(key);
+  cache.set(key, tree);
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+};
+
+const renderSync = (content, options, key) => {
+  let tree = FAILED;
+  try {
+    tree = markdownToHast(content, options);
+  } catch (err) {
+    console.error("Failed to render message:", err);
+  }
+  remember(key, tree);
+  return tree;
+};
+
+function startWorker() {
+  try {
+    worker = new Worker(new URL("../workers/markdown.worker.js", import.meta.url), { type: "module" });
+  } catch (err) {
+    console.warn("Markdown worker unavailable, rendering on the main thread:", err);
+    workersAvailable = false;
+    return null;
+  }
+  worker.onmessage = ({ data }) => {
+    if (!current || data.id !== current.id) return;
+    const request = current;
+    settle();
+    if (data.error) console.error("Failed to render message:", data.error);
+    remember(request.key, data.error ? FAILED : data.tree);
+    request.resolve(data.error ? FAILED : data.tree);
+  };
+  // The script itself failed to load (CSP, old browser): stop using workers.
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    console.warn("Markdown worker failed, rendering on the main thread:", event.message);
+    workersAvailable = false;
+    worker.terminate();
+    worker = null;
+    const waiting = current ? [current, ...queue.splice(0)] : queue.splice(0);
+    if (current) clearTimeout(current.timer);
+    current = null;
+    waiting.forEach((request) => request.resolve(renderSync(request.content, request.options, request.key)));
+  };
+  return worker;
+}
+
+function settle() {
+  clearTimeout(current.timer);
+  current = null;
+  pump();
+}
+
+function pump() {
+  if (current) return;
+  while (queue.length && queue[0].signal?.aborted) queue.shift();
+  if (!queue.length) return;
+  if (!worker && !startWorker()) {
+    queue.splice(0).forEach((request) => request.resolve(renderSync(request.content, request.options, request.key)));
+    return;
+  }
+  current = queue.shift();
+  current.timer = setTimeout(() => {
+    const request = current;
+    console.error(`Rendering a ${request.content.length}-character message timed out; showing it as plain text`);
+    worker.terminate();
+    worker = null;
+    remember(request.key, FAILED);
+    request.reject(new RenderTimeoutError());
+    settle();
+  }, RENDER_TIMEOUT);
+  worker.postMessage({ id: current.id, content: current.content, options: current.options });
+}
+
+// The cached tree for `content`, or undefined if it has not been rendered.
+// Without workers the tree is built right here.
+export function peekMarkdown(content, options) {
+  const key = keyOf(content, options);
+  if (cache.has(key)) return cache.get(key);
+  if (!workersAvailable) return renderSync(content, options, key);
+  return undefined;
+}
+
+// Resolves with the hast tree for `content`, or null if it could not be
+// rendered in time. Aborting `signal` drops the request if it has not
+// started; one already in the worker still completes and is cached.
+export function renderMarkdown(content, options, { signal } = {}) {
+  const key = keyOf(content, options);
+  if (cache.has(key)) return Promise.resolve(cache.get(key));
+  if (!workersAvailable) return Promise.resolve(renderSync(content, options, key));
+  return new Promise((resolve, reject) => {
+    queue.push({ id: nextId++, key, content, options, signal, resolve, reject });
+    pump();
+  });
+}
+
+// `{ role, citations }` as for markdownToHast. Returns `{ tree, failed }`
+// with the newest tree available: while new content renders, the previous
+// tree stays on screen. `tree` is null until the first one is ready or when
+// the content could not be rendered (`failed`).
+export function useMarkdownTree(content, { role, citations = 0 }) {
+  const options = { role, citations, overrides: role === "assistant" ? getStageOverrides() : undefined };
+  const cached = peekMarkdown(content, options);
+  const [latest, setLatest] = useState({ tree: cached ?? null, failed: cached === FAILED });
+  const requestRef = useRef(null);
+  requestRef.current = { content, options };
+  const key = keyOf(content, options);
+
+  useEffect(() => {
+    const request = requestRef.current;
+    const tree = peekMarkdown(request.content, request.options);
+    if (tree !== undefined) {
+      setLatest({ tree, failed: tree === FAILED });
+      return;
+    }
+    const controller = new AbortController();
+    renderMarkdown(request.content, request.options, { signal: controller.signal })
+      .then((result) => !controller.signal.aborted && setLatest({ tree: result, failed: result === FAILED }))
+      .catch(() => !controller.signal.aborted && setLatest({ tree: null, failed: true }));
+    return () => controller.abort();
+  }, [key]);
+
+  return cached !== undefined ? { tree: cached, failed: cached === FAILED } : latest;
+}
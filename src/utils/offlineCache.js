@@ -0,0 +1,149 @@
+import { authScope } from "./auth";
+
+// IndexedDB-backed cache of the session list and message histories, plus an
+// outbox of messages written while offline. Views render the cached copy
+// immediately and revalidate against the network in the background
+// (stale-while-revalidate). Cache keys are scoped to the active backend
+// profile and signed-in user, so switching either never mixes their data.
+//
+// Every helper degrades to a no-op when IndexedDB is unavailable.
+
+const DB_NAME = "nova";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") {
+      resolve(null);
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore("cache");
+      db.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.error("IndexedDB unavailable:", req.error);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+};
+
+// Runs `fn(store)` in a transaction and resolves with the request's result.
+const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req?.result ?? null);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const scoped = (key) => `${authScope()}:${key}`;
+
+const writeListeners = new Set();
+
+// Calls `listener(key, value)` after every cache write; `value` is null for
+// deletions. Returns an unsubscribe function.
+export const onCacheWrite = (listener) => {
+  writeListeners.add(listener);
+  return () => writeListeners.delete(listener);
+};
+
+export const readCache = (key) => withStore("cache", "readonly", (store) => store.get(scoped(key))).catch(() => null);
+
+// All cached [key, value] pairs whose key starts with `prefix`.
+export async function readCacheEntries(prefix) {
+  if (typeof IDBKeyRange === "undefined") return [];
+  const range = IDBKeyRange.bound(scoped(prefix), `${scoped(prefix)}\uffff`);
+  try {
+    const [keys, values] = await Promise.all([
+      withStore("cache", "readonly", (store) => store.getAllKeys(range)),
+      withStore("cache", "readonly", (store) => store.getAll(range)),
+    ]);
+    const strip = scoped("").length;
+    return (keys || []).map((key, i) => [key.slice(strip), values[i]]);
+  } catch {
+    return [];
+  }
+}
+
+export const writeCache = (key, value) =>
+  withStore("cache", "readwrite", (store) => store.put(value, scoped(key)))
+    .then(() => writeListeners.forEach((listener) => listener(key, value)))
+    .catch((err) => console.error("Failed to write cache:", err));
+
+export const deleteCache = (key) =>
+  withStore("cache", "readwrite", (store) => store.delete(scoped(key)))
+    .then(() => writeListeners.forEach((listener) => listener(key, null)))
+    .catch(() => null);
+
+// Calls onData with the cached value (if any, flagged `stale`), then with the
+// fresh one. Resolves with the fresh value; rejects only if the network fails
+// and there was nothing cached to show.
+export async function cachedFetch(key, fetcher, onData) {
+  const cached = await readCache(key);
+  if (cached !== null) onData(cached, { stale: true });
+  try {
+    const fresh = await fetcher();
+    onData(fresh, { stale: false, previous: cached });
+    writeCache(key, fresh);
+    return fresh;
+  } catch (err) {
+    if (cached === null) throw err;
+    console.warn(`Showing cached ${key}; revalidation failed:`, err.message);
+    return cached;
+  }
+}
+
+export const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+// Whether an error means the request never reached the server.
+export const isNetworkError = (err) => err?.name === "TypeError" || err?.status === 0;
+
+export const enqueueOutbox = (item) =>
+  withStore("outbox", "readwrite", (store) =>
+    store.add({ ...item, profile: authScope(), queuedAt: new Date().toISOString() })
+  );
+
+export const readOutbox = async () => {
+  const items = (await withStore("outbox", "readonly", (store) => store.getAll()).catch(() => null)) || [];
+  return items.filter((item) => item.profile === authScope());
+};
+
+const removeOutbox = (seq) => withStore("outbox", "readwrite", (store) => store.delete(seq));
+
+// Delivers queued items one at a time, oldest first. Stops at the first
+// network failure so later messages never overtake earlier ones, and at a
+// 401, which signing in again fixes; an item the server rejects otherwise is
+// dropped and reported through onFailed.
+export async function flushOutbox(send, { onFailed } = {}) {
+  const items = (await readOutbox()).sort((a, b) => a.seq - b.seq);
+  for (const item of items) {
+    try {
+      await send(item);
+      await removeOutbox(item.seq);
+    } catch (err) {
+      if (isNetworkError(err) || isOffline() || err.status === 401) return false;
+      await removeOutbox(item.seq);
+      onFailed?.(item, err);
+    }
+  }
+  return true;
+}
+
+// True when the server's history no longer starts with what we cached, i.e.
+// messages were edited or removed elsewhere. Plain additions are not conflicts.
+export function historyConflicts(cached, fresh) {
+  if (!cached || !fresh) return false;
+  if (fresh.length < cached.length) return true;
+  return cached.some((m, i) => m.role !== fresh[i].role || m.content !== fresh[i].content);
+}
@@ -0,0 +1,151 @@
+// Best-effort text out of a PDF without a PDF library: the strings shown by
+// the text operators (Tj, TJ, ' and ") of every content stream, inflated with
+// the browser's DecompressionStream where they are FlateDecode'd. That covers
+// what word processors and browsers print to PDF. Scanned pages, encrypted
+// files and fonts that address glyphs by id yield nothing usable; extraction
+// then returns "" and the file goes out without text.
+
+const MIN_PRINTABLE = 0.85;
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// One character per byte, so offsets in the string are offsets in `bytes`.
+const latin1 = (bytes) => {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return out;
+};
+
+async function contentStreams(bytes) {
+  const source = latin1(bytes);
+  const streams = [];
+  const pattern = /stream\r?\n/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf("endstream", start);
+    if (end === -1) break;
+    pattern.lastIndex = end + "endstream".length;
+    const dictionary = source.slice(Math.max(0, source.lastIndexOf("<<", match.index)), match.index);
+    if (/\/Subtype\s*\/Image|\/Type\s*\/XRef|\/Length1/.test(dictionary)) continue;
+    let dataEnd = end;
+    while (dataEnd > start && (source[dataEnd - 1] === "\n" || source[dataEnd - 1] === "\r")) dataEnd--;
+    let data = bytes.subarray(start, dataEnd);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        data = await inflate(data);
+      } catch {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+    const text = latin1(data);
+    if (/\bBT\b/.test(text)) streams.push(text);
+  }
+  return streams;
+}
+
+const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// Reads the literal string opening at `at`; returns [text, index after it].
+function literalString(content, at) {
+  let depth = 1;
+  let out = "";
+  let i = at + 1;
+  while (i < content.length && depth) {
+    const c = content[i];
+    if (c === "\\") {
+      const next = content[i + 1];
+      const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/);
+      if (octal) {
+        out += String.fromCharCode(parseInt(octal[0], 8) & 0xff);
+        i += 1 + octal[0].length;
+        continue;
+      }
+      if (next === "\r" || next === "\n") i += content[i + 2] === "\n" && next === "\r" ? 3 : 2;
+      else {
+        out += ESCAPES[next] ?? next;
+        i += 2;
+      }
+      continue;
+    }
+    if (c === "(") depth++;
+    else if (c === ")" && --depth === 0) break;
+    out += c;
+    i++;
+  }
+  return [out, i + 1];
+}
+
+const hexString = (hex) => {
+  const digits = hex.replace(/[^0-9a-f]/gi, "");
+  let out = "";
+  for (let i = 0; i < digits.length; i += 2) out += String.fromCharCode(parseInt(digits.slice(i, i + 2).padEnd(2, "0"), 16));
+  return out;
+};
+
+// Strings starting with a byte order mark are UTF-16BE.
+const decodeString = (raw) => {
+  if (!raw.startsWith("\xfe\xff")) return raw;
+  let out = "";
+  for (let i = 2; i + 1 < raw.length; i += 2) out += String.fromCharCode((raw.charCodeAt(i) << 8) | raw.charCodeAt(i + 1));
+  return out;
+};
+
+function textOf(content) {
+  let out = "";
+  let pending = [];
+  let operands = [];
+  let i = 0;
+  while (i < content.length) {
+    const c = content[i];
+    if (c === "(") {
+      const [raw, next] = literalString(content, i);
+      pending.push(decodeString(raw));
+      i = next;
+    } else if (c === "<" && content[i + 1] !== "<") {
+      const close = content.indexOf(">", i);
+      if (close === -1) break;
+      pending.push(decodeString(hexString(content.slice(i + 1, close))));
+      i = close + 1;
+    } else if (c === "%") {
+      while (i < content.length && content[i] !== "\n" && content[i] !== "\r") i++;
+    } else if (c === "/") {
+      i += content.slice(i + 1).match(/^[^\s/<>[\]()%{}]*/)[0].length + 1;
+    } else if (/[A-Za-z'"*]/.test(c)) {
+      const word = content.slice(i).match(/^[A-Za-z'"*]+/)[0];
+      i += word.length;
+      if (word === "'" || word === '"' || word === "T*") out += "\n";
+      if (word === "Td" || word === "TD") out += Number(operands[1]) ? "\n" : " ";
+      if (word === "Tj" || word === "TJ" || word === "'" || word === '"') out += pending.join("");
+      if (word === "ET") out += "\n";
+      pending = [];
+      operands = [];
+    } else if (/[-+.\d]/.test(c)) {
+      const number = content.slice(i).match(/^[-+]?\d*\.?\d*/)[0] || c;
+      operands.push(number);
+      i += number.length;
+    } else {
+      i++;
+    }
+  }
+  return out;
+}
+
+export async function extractPdfText(bytes) {
+  const text = (await contentStreams(bytes))
+    .map(textOf)
+    .join("\n")
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  if (!text) return "";
+  const printable = text.match(/[\p{L}\p{N}\p{P}\p{Zs}\n]/gu)?.length || 0;
+  return printable / text.length >= MIN_PRINTABLE ? text : "";
+}
@@ -0,0 +1,67 @@
+import { Buffer } from "node:buffer";
+import { deflateSync } from "node:zlib";
+import { describe, expect, it } from "vitest";
+import { extractPdfText } from "./pdfText";
+
+const bytesOf = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+// A one-page PDF around `content`, deflated when `flate` is set. The xref
+// table is left out; the extractor does not read it.
+const pdf = (content, { flate = false } = {}) => {
+  const data = flate ? deflateSync(bytesOf(content)) : bytesOf(content);
+  const filter = flate ? " /Filter /FlateDecode" : "";
+  return concat(
+    bytesOf(
+      "%PDF-1.4\n" +
+        "1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n" +
+        "2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj\n" +
+        "3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R >> endobj\n" +
+        `4 0 obj << /Length ${data.length}${filter} >>\nstream\n`
+    ),
+    data,
+    bytesOf("\nendstream\nendobj\ntrailer << /Root 1 0 R >>\n%%EOF\n")
+  );
+};
+
+const PAGE = "BT /F1 12 Tf 72 720 Td (Hello, PDF!) Tj 0 -14 Td [(Second ) -250 (line)] TJ ET";
+
+describe("extractPdfText", () => {
+  it("reads the text operators of an uncompressed content stream", async () => {
+    expect(await extractPdfText(pdf(PAGE))).toBe("Hello, PDF!\nSecond line");
+  });
+
+  it("inflates FlateDecode streams", async () => {
+    expect(await extractPdfText(pdf(PAGE, { flate: true }))).toBe("Hello, PDF!\nSecond line");
+  });
+
+  it("decodes escapes, octal codes and UTF-16 hex strings", async () => {
+    const content = "BT (a\\(b\\) \\101) Tj T* <FEFF00E9006C00E8007600650020> Tj ET";
+    expect(await extractPdfText(pdf(content))).toBe("a(b) A\nélève");
+  });
+
+  it("returns nothing for a file that is not a PDF", async () => {
+    expect(await extractPdfText(bytesOf("just some text, no streams here"))).toBe("");
+  });
+
+  it("returns nothing for a corrupt compressed stream", async () => {
+    const corrupt = pdf(PAGE, { flate: true });
+    // Keep the zlib header, overwrite what follows it with junk.
+    const start = Buffer.from(corrupt).indexOf("stream\n") + "stream\n".length;
+    corrupt.fill(0xff, start + 2, start + 12);
+    expect(await extractPdfText(corrupt)).toBe("");
+  });
+
+  it("returns nothing for streams without text objects", async () => {
+    expect(await extractPdfText(pdf("0 0 m 100 100 l S"))).toBe("");
+  });
+});
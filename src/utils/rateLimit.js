@@ -0,0 +1,12 @@
+// Runs `fn` over `items` a few at a time with a pause between batches, so
+// walking a long list of sessions does not flood the backend. Results come
+// back in input order as Promise.allSettled entries.
+export async function inBatches(items, fn, { size = 5, interval = 250, onProgress } = {}) {
+  const results = [];
+  for (let start = 0; start < items.length; start += size) {
+    if (start > 0) await new Promise((resolve) => setTimeout(resolve, interval));
+    results.push(...(await Promise.allSettled(items.slice(start, start + size).map(fn))));
+    onProgress?.(Math.min(start + size, items.length), items.length);
+  }
+  return results;
+}
@@ -0,0 +1,41 @@
+// remark plugin that turns inline citation markers like "[2]" into links to
+// "#cite-2" so MessageRenderer can make them clickable. Only plain text is
+// touched: code, math and existing links keep their brackets. Markers beyond
+// the number of known sources are left alone.
+
+const MARKER = /(?<!\w)\[(\d{1,3})\](?![(:])/g;
+const SKIP = new Set(["link", "linkReference", "code", "inlineCode", "math", "inlineMath"]);
+
+const splitText = (node, count) => {
+  const parts = [];
+  let last = 0;
+  for (const match of node.value.matchAll(MARKER)) {
+    const n = Number(match[1]);
+    if (n < 1 || n > count) continue;
+    if (match.index > last) parts.push({ type: "text", value: node.value.slice(last, match.index) });
+    parts.push({
+      type: "link",
+      url: `#cite-${n}`,
+      children: [{ type: "text", value: `[${n}]` }],
+    });
+    last = match.index + match[0].length;
+  }
+  if (!parts.length) return null;
+  if (last < node.value.length) parts.push({ type: "text", value: node.value.slice(last) });
+  return parts;
+};
+
+const visit = (node, count) => {
+  if (!node.children || SKIP.has(node.type)) return;
+  node.children = node.children.flatMap((child) => {
+    if (child.type === "text") return splitText(child, count) || [child];
+    visit(child, count);
+    return [child];
+  });
+};
+
+export default function remarkCitations({ count = 0 } = {}) {
+  return (tree) => {
+    if (count > 0) visit(tree, count);
+  };
+}
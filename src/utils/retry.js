@@ -0,0 +1,41 @@
+// Retrying with exponential backoff for failures that are likely to go away
+// on their own: the request got no answer at all (network error, status 0,
+// timeout) or the backend is briefly unavailable, e.g. the hosted instance
+// cold-starting.
+
+const TRANSIENT_STATUS = new Set([0, 408, 429, 502, 503, 504]);
+
+export const isTransientError = (err) =>
+  err?.name !== "AbortError" && (err?.name === "TypeError" || TRANSIENT_STATUS.has(err?.status));
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason ?? new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+// Calls `fn(attempt)` until it resolves, retrying up to `retries` times while
+// `shouldRetry(err)` holds. `onRetry({ attempt, delay, error })` runs before
+// each wait.
+export async function withRetry(
+  fn,
+  { retries = 3, initialDelay = 1000, maxDelay = 8000, signal, onRetry, shouldRetry = isTransientError } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(err)) throw err;
+      const delay = Math.min(initialDelay * 2 ** attempt, maxDelay);
+      onRetry?.({ attempt: attempt + 1, delay, error: err });
+      await wait(delay, signal);
+    }
+  }
+}
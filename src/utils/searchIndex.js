@@ -0,0 +1,234 @@
+import { subscribe as subscribeToBackend } from "./api";
+import { deleteCache, isOffline, onCacheWrite, readCacheEntries, writeCache } from "./offlineCache";
+import { inBatches } from "./rateLimit";
+import { fetchSessionHistory, readImported } from "./importedSessions";
+import { fetchAllSummaries } from "./sessionSummaries";
+
+// Full-text search over every conversation, answered from a local inverted
+// index so it works offline and against backends without a search endpoint.
+// The index is built from the message histories in the offline cache and
+// follows every later cache write; syncIndex() fetches the histories that are
+// missing or out of date. Results are ranked with BM25, with a bonus when the
+// whole query appears verbatim.
+
+const HISTORY = "history:";
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 180;
+
+let index = null;
+let building = null;
+let syncing = null;
+// Writes that land while the index is being built are replayed afterwards.
+const pendingWrites = new Map();
+const listeners = new Set();
+
+export const tokenize = (text = "") => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const emptyIndex = () => ({
+  docs: new Map(), // key -> { sessionId, index, role, content, timestamp, sessionTitle, length }
+  terms: new Map(), // term -> Map(key -> term frequency)
+  sessions: new Map(), // sessionId -> { keys, messageCount }
+  totalLength: 0,
+});
+
+function removeSession(idx, sessionId) {
+  for (const key of idx.sessions.get(sessionId)?.keys || []) {
+    const doc = idx.docs.get(key);
+    for (const term of new Set(tokenize(doc.content))) {
+      const postings = idx.terms.get(term);
+      postings?.delete(key);
+      if (postings && !postings.size) idx.terms.delete(term);
+    }
+    idx.totalLength -= doc.length;
+    idx.docs.delete(key);
+  }
+  idx.sessions.delete(sessionId);
+}
+
+function addSession(idx, sessionId, history) {
+  removeSession(idx, sessionId);
+  if (!history) return;
+  const messages = history.messages || [];
+  const sessionTitle = history.title || messages.find((m) => m.role === "user")?.content.slice(0, 60) || null;
+  const keys = [];
+  messages.forEach((m, i) => {
+    if (m.role !== "user" && m.role !== "assistant") return;
+    const tokens = tokenize(m.content);
+    if (!tokens.length) return;
+    const key = `${sessionId}#${i}`;
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    for (const [term, count] of counts) {
+      if (!idx.terms.has(term)) idx.terms.set(term, new Map());
+      idx.terms.get(term).set(key, count);
+    }
+    idx.docs.set(key, {
+      sessionId,
+      index: i,
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp || null,
+      sessionTitle,
+      length: tokens.length,
+    });
+    idx.totalLength += tokens.length;
+    keys.push(key);
+  });
+  idx.sessions.set(sessionId, { keys, messageCount: messages.length });
+}
+
+const notify = () => listeners.forEach((listener) => listener());
+
+// Calls `listener()` whenever indexed content changes.
+export const onIndexChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+function loadIndex() {
+  if (index) return Promise.resolve(index);
+  if (!building) {
+    building = (async () => {
+      const idx = emptyIndex();
+      for (const [key, value] of await readCacheEntries(HISTORY)) {
+        addSession(idx, key.slice(HISTORY.length), value);
+      }
+      for (const [sessionId, value] of pendingWrites) addSession(idx, sessionId, value);
+      pendingWrites.clear();
+      index = idx;
+      building = null;
+      return idx;
+    })();
+  }
+  return building;
+}
+
+onCacheWrite((key, value) => {
+  if (!key.startsWith(HISTORY)) return;
+  const sessionId = key.slice(HISTORY.length);
+  if (index) {
+    addSession(index, sessionId, value);
+    notify();
+  } else if (building) {
+    pendingWrites.set(sessionId, value);
+  }
+});
+
+// Each backend has its own cache, so its own index.
+subscribeToBackend(() => {
+  index = null;
+  building = null;
+  pendingWrites.clear();
+  notify();
+});
+
+// Fetches histories that are not cached yet or whose message count changed,
+// and drops sessions that no longer exist. Reports `onProgress(done, total)`.
+export function syncIndex({ onProgress } = {}) {
+  if (syncing || isOffline()) return syncing || Promise.resolve();
+  syncing = (async () => {
+    try {
+      const idx = await loadIndex();
+      const summaries = await fetchAllSummaries();
+      const live = new Set([...summaries, ...(await readImported())].map((s) => s.id || s.session_id));
+      for (const sessionId of [...idx.sessions.keys()]) {
+        if (!live.has(sessionId)) deleteCache(`${HISTORY}${sessionId}`);
+      }
+      const stale = summaries.filter((s) => {
+        const known = idx.sessions.get(s.id);
+        return !known || (s.messageCount !== null && s.messageCount !== known.messageCount);
+      });
+      await inBatches(
+        stale,
+        async (s) => writeCache(`${HISTORY}${s.id}`, await fetchSessionHistory(s.id)),
+        { onProgress }
+      );
+    } catch (err) {
+      console.error("Failed to update the search index:", err);
+    } finally {
+      syncing = null;
+    }
+  })();
+  return syncing;
+}
+
+// Cuts a window around the first match and splits it into
+// [{ text, match }] segments for highlighting.
+function snippet(content, terms) {
+  const text = content.replace(/\s+/g, " ").trim();
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join("|")})[\\p{L}\\p{N}]*`, "giu");
+  const first = text.search(pattern);
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const window = text.slice(start, start + SNIPPET_LENGTH);
+  const segments = [];
+  let last = 0;
+  for (const match of window.matchAll(pattern)) {
+    if (match.index > last) segments.push({ text: window.slice(last, match.index), match: false });
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < window.length) segments.push({ text: window.slice(last), match: false });
+  if (start > 0) segments.unshift({ text: "…", match: false });
+  if (start + SNIPPET_LENGTH < text.length) segments.push({ text: "…", match: false });
+  return segments;
+}
+
+// Ranked matches for `query`. Every word must match; the last one also
+// matches as a prefix so results show up while typing.
+export async function search(query, { limit = 50 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+  const idx = await loadIndex();
+  const docCount = idx.docs.size;
+  if (!docCount) return [];
+  const avgLength = idx.totalLength / docCount;
+
+  const postingsFor = (term, prefix) => {
+    if (!prefix) return idx.terms.get(term) ? [idx.terms.get(term)] : [];
+    const lists = [];
+    for (const [candidate, postings] of idx.terms) {
+      if (candidate.startsWith(term)) lists.push(postings);
+    }
+    return lists;
+  };
+
+  let scores = null;
+  terms.forEach((term, t) => {
+    const termScores = new Map();
+    for (const postings of postingsFor(term, t === terms.length - 1)) {
+      const idf = Math.log(1 + (docCount - postings.size + 0.5) / (postings.size + 0.5));
+      for (const [key, tf] of postings) {
+        const length = idx.docs.get(key).length;
+        const score = (idf * tf * 2.2) / (tf + 1.2 * (0.25 + (0.75 * length) / avgLength));
+        termScores.set(key, (termScores.get(key) || 0) + score);
+      }
+    }
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      for (const [key, score] of scores) {
+        if (termScores.has(key)) scores.set(key, score + termScores.get(key));
+        else scores.delete(key);
+      }
+    }
+  });
+
+  const phrase = terms.length > 1 ? query.trim().toLowerCase().replace(/\s+/g, " ") : null;
+  return [...scores]
+    .map(([key, score]) => {
+      const doc = idx.docs.get(key);
+      const exact = phrase && doc.content.toLowerCase().replace(/\s+/g, " ").includes(phrase);
+      return { doc, score: exact ? score * 2 : score };
+    })
+    .sort((a, b) => b.score - a.score || (b.doc.timestamp || "").localeCompare(a.doc.timestamp || ""))
+    .slice(0, limit)
+    .map(({ doc, score }) => ({
+      sessionId: doc.sessionId,
+      index: doc.index,
+      role: doc.role,
+      timestamp: doc.timestamp,
+      sessionTitle: doc.sessionTitle,
+      score,
+      snippet: snippet(doc.content, terms),
+    }));
+}
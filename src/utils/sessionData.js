@@ -0,0 +1,98 @@
+import { readCache, writeCache } from "./offlineCache";
+
+// Per-session data the backend does not store (yet), kept in localStorage
+// under one key per session: { [field]: value }.
+
+const keyFor = (sessionId) => `nova.session.${sessionId}`;
+
+export const loadSessionData = (sessionId, field, fallback = null) => {
+  if (!sessionId) return fallback;
+  try {
+    const data = JSON.parse(localStorage.getItem(keyFor(sessionId))) || {};
+    return data[field] ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const saveSessionData = (sessionId, field, value) => {
+  if (!sessionId) return;
+  try {
+    const data = JSON.parse(localStorage.getItem(keyFor(sessionId))) || {};
+    data[field] = value;
+    localStorage.setItem(keyFor(sessionId), JSON.stringify(data));
+  } catch (err) {
+    console.error("Failed to save session data:", err);
+  }
+};
+
+export const clearSessionData = (sessionId) => {
+  if (sessionId) localStorage.removeItem(keyFor(sessionId));
+};
+
+// Fills in `field` on the messages of `role` from what was stored locally
+// for them, keyed by the message's ordinal among that role's messages. The
+// ordinal is stable between the live view and the server's history (error
+// bubbles are local-only, so plain indices are not).
+const withStored = (sessionId, messages, field, role) => {
+  const stored = loadSessionData(sessionId, field, {});
+  let ordinal = 0;
+  return messages.map((m) => {
+    if (m.role !== role) return m;
+    const value = m[field] || stored[ordinal];
+    ordinal += 1;
+    return value ? { ...m, [field]: value } : m;
+  });
+};
+
+// Sources are keyed by the assistant message's ordinal.
+export const withStoredSources = (sessionId, messages) => withStored(sessionId, messages, "sources", "assistant");
+
+// Attachments (without their data) are keyed by the prompt's ordinal, for
+// backends that do not return them with the history.
+export const withStoredAttachments = (sessionId, messages) => withStored(sessionId, messages, "attachments", "user");
+
+// Text extracted from attachments can run to megabytes, more than
+// localStorage holds, so it lives in the offline cache instead, as
+// { [attachmentId]: text } per session.
+export const attachmentTextKey = (sessionId) => `attachment-text:${sessionId}`;
+
+export async function storeAttachmentTexts(sessionId, attachments) {
+  const withText = attachments.filter((a) => a.text);
+  if (!sessionId || !withText.length) return;
+  const stored = (await readCache(attachmentTextKey(sessionId))) || {};
+  withText.forEach((a) => {
+    stored[a.id] = a.text;
+  });
+  await writeCache(attachmentTextKey(sessionId), stored);
+}
+
+// Puts the stored text back on attachments that were reloaded without it.
+export async function withAttachmentTexts(sessionId, attachments) {
+  if (!sessionId || attachments.every((a) => a.text !== undefined)) return attachments;
+  const stored = (await readCache(attachmentTextKey(sessionId))) || {};
+  return attachments.map((a) => (a.text === undefined && stored[a.id] ? { ...a, text: stored[a.id] } : a));
+}
+
+// The prompt being typed when the chat was left, e.g. for the login page.
+// One draft per tab, kept with the session it belongs to (null for a new
+// chat) in sessionStorage.
+const DRAFT_KEY = "nova.draft";
+
+export const saveDraft = (sessionId, text) => {
+  try {
+    if (text.trim()) sessionStorage.setItem(DRAFT_KEY, JSON.stringify({ sessionId, text }));
+    else sessionStorage.removeItem(DRAFT_KEY);
+  } catch (err) {
+    console.error("Failed to save draft:", err);
+  }
+};
+
+export const loadDraft = (sessionId) => {
+  try {
+    const draft = JSON.parse(sessionStorage.getItem(DRAFT_KEY));
+    return draft && draft.sessionId === (sessionId ?? null) ? draft.text : "";
+  } catch {
+    return "";
+  }
+};
@@ -0,0 +1,4 @@
+// URLs of the chat route. `message` is the 1-based position of a message in
+// the conversation, which is how #message-n anchors count.
+export const sessionPath = (sessionId, message) =>
+  `/sessions/${encodeURIComponent(sessionId)}${message ? `#message-${message}` : ""}`;
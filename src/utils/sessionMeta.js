@@ -0,0 +1,126 @@
+import { useEffect, useState } from "react";
+import api, { subscribe as subscribeToBackend } from "./api";
+
+// User-facing session metadata: custom title, pinned flag and folder. Both the
+// /sessions page and the Chat sidebar read it from here, so a rename in one
+// shows up in the other. Changes are saved locally right away and sent to
+// PATCH /sessions/:id when the backend has that endpoint; the first 404/405/501
+// marks it as unsupported for the current backend and we stay local-only.
+
+const STORAGE_KEY = "nova.sessionMeta";
+const UNSUPPORTED = new Set([404, 405, 501]);
+
+const listeners = new Set();
+let remoteSupported = null;
+
+subscribeToBackend(() => {
+  remoteSupported = null;
+});
+
+const read = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return { sessions: data.sessions || {}, folders: data.folders || [] };
+  } catch {
+    return { sessions: {}, folders: [] };
+  }
+};
+
+const write = (meta) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(meta));
+  listeners.forEach((listener) => listener(meta));
+};
+
+export const getSessionMeta = () => read();
+
+const pushRemote = async (id, patch) => {
+  if (remoteSupported === false) return;
+  try {
+    await api.patch(`/sessions/${id}`, patch);
+    remoteSupported = true;
+  } catch (err) {
+    if (UNSUPPORTED.has(err.status)) remoteSupported = false;
+    else console.error("Failed to sync session metadata:", err);
+  }
+};
+
+export const updateSessionMeta = (id, patch) => {
+  const meta = read();
+  meta.sessions[id] = { ...meta.sessions[id], ...patch };
+  if (patch.folder && !meta.folders.includes(patch.folder)) meta.folders.push(patch.folder);
+  write(meta);
+  pushRemote(id, patch);
+};
+
+export const removeSessionMeta = (id) => {
+  const meta = read();
+  delete meta.sessions[id];
+  write(meta);
+};
+
+// Adopts title/pinned/folder from backend summaries for sessions that have
+// no local metadata yet.
+export const mergeRemoteMeta = (summaries) => {
+  const meta = read();
+  let changed = false;
+  for (const s of summaries) {
+    if (typeof s !== "object" || meta.sessions[s.session_id]) continue;
+    const { pinned, folder } = s;
+    if (pinned === undefined && folder === undefined) continue;
+    meta.sessions[s.session_id] = { pinned: !!pinned, folder: folder || null };
+    if (folder && !meta.folders.includes(folder)) meta.folders.push(folder);
+    changed = true;
+  }
+  if (changed) write(meta);
+};
+
+export const createFolder = (name) => {
+  const meta = read();
+  const folder = name.trim();
+  if (!folder || meta.folders.includes(folder)) return;
+  meta.folders.push(folder);
+  write(meta);
+};
+
+// Deleting a folder keeps its sessions; they move back to "Chats".
+export const deleteFolder = (name) => {
+  const meta = read();
+  meta.folders = meta.folders.filter((f) => f !== name);
+  for (const [id, m] of Object.entries(meta.sessions)) {
+    if (m.folder === name) {
+      meta.sessions[id] = { ...m, folder: null };
+      pushRemote(id, { folder: null });
+    }
+  }
+  write(meta);
+};
+
+export const displayTitle = (meta, id, fallback) =>
+  meta.sessions[id]?.title || fallback || "New Chat";
+
+// Splits a list of { id, title } into pinned, one group per folder, and the rest.
+export function groupSessions(list, meta) {
+  const groups = [{ key: "pinned", label: "📌 Pinned", drop: { pinned: true }, items: [] }];
+  for (const folder of meta.folders) {
+    groups.push({ key: `folder:${folder}`, label: `📁 ${folder}`, folder, drop: { folder, pinned: false }, items: [] });
+  }
+  groups.push({ key: "rest", label: "💬 Chats", drop: { folder: null, pinned: false }, items: [] });
+
+  for (const item of list) {
+    const m = meta.sessions[item.id] || {};
+    const group = m.pinned
+      ? groups[0]
+      : groups.find((g) => g.folder && g.folder === m.folder) || groups[groups.length - 1];
+    group.items.push(item);
+  }
+  return groups;
+}
+
+export function useSessionMeta() {
+  const [meta, setMeta] = useState(read);
+  useEffect(() => {
+    listeners.add(setMeta);
+    return () => listeners.delete(setMeta);
+  }, []);
+  return meta;
+}
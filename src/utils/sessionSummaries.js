@@ -0,0 +1,317 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import api, { subscribe } from "./api";
+import { cachedFetch, deleteCache } from "./offlineCache";
+import { mergeRemoteMeta, removeSessionMeta } from "./sessionMeta";
+import { inBatches } from "./rateLimit";
+import { attachmentTextKey } from "./sessionData";
+import { onImportedChange, readImported, removeImportedSession } from "./importedSessions";
+import { dismissToast, toast } from "./toast";
+
+// Paged session list shared by the Chat sidebar and the /sessions page.
+//
+// Backends with the summary endpoint answer GET /sessions?limit=&cursor= with
+// { sessions: [summary], next_cursor }, where a summary carries the title,
+// first prompt, update time and message count. Older backends ignore the
+// query and return every session at once, sometimes as bare ids; we page
+// through that list locally and look up the first prompt of untitled
+// sessions from /sessions/:id, a few requests at a time. Sessions imported
+// from a file are listed first until the backend returns them itself.
+//
+// A view ({ sort, mode, since, minMessages }) is sent along as sort=, mode=,
+// updated_after= and min_messages=. The same view is also applied locally,
+// so backends that ignore those parameters still show the right result for
+// everything loaded so far. A value missing from a summary never filters
+// the session out.
+
+export const PAGE_SIZE = 50;
+export const UNDO_WINDOW = 6000;
+
+// `since` is a number of days back from now, or null for any time.
+export const DEFAULT_VIEW = { sort: "newest", mode: "all", since: null, minMessages: 0 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const normalize = (s) =>
+  typeof s === "string"
+    ? { id: s, title: null, prompt: null, updatedAt: null, messageCount: null, mode: null }
+    : {
+        id: s.session_id,
+        title: s.title || null,
+        prompt: s.first_prompt ?? null,
+        updatedAt: s.updated_at || null,
+        messageCount: s.message_count ?? null,
+        mode: s.mode || null,
+      };
+
+const modeOf = (messages) => (messages.some((m) => m.is_web_search) ? "web_search" : "chat");
+
+const cutoff = (view) => (view.since ? new Date(Date.now() - view.since * DAY).toISOString() : null);
+
+const isDefaultView = (view) => Object.keys(DEFAULT_VIEW).every((key) => view[key] === DEFAULT_VIEW[key]);
+
+const viewQuery = (view) => {
+  const params = new URLSearchParams();
+  if (view.sort !== DEFAULT_VIEW.sort) params.set("sort", view.sort);
+  if (view.mode !== "all") params.set("mode", view.mode);
+  if (view.since) params.set("updated_after", cutoff(view));
+  if (view.minMessages) params.set("min_messages", String(view.minMessages));
+  const query = params.toString();
+  return query ? `&${query}` : "";
+};
+
+// Unknown values sort last.
+const COMPARE = {
+  newest: (a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""),
+  oldest: (a, b) => (a.updatedAt || "\uffff").localeCompare(b.updatedAt || "\uffff"),
+  messages: (a, b) => (b.messageCount ?? -1) - (a.messageCount ?? -1),
+  title: (a, b) =>
+    (a.title || a.prompt || "\uffff").localeCompare(b.title || b.prompt || "\uffff", undefined, { sensitivity: "base" }),
+};
+
+export function applyView(list, view) {
+  const after = cutoff(view);
+  return list
+    .filter(
+      (s) =>
+        (view.mode === "all" || !s.mode || s.mode === view.mode) &&
+        (!after || !s.updatedAt || s.updatedAt >= after) &&
+        (!view.minMessages || s.messageCount === null || s.messageCount >= view.minMessages)
+    )
+    .sort(COMPARE[view.sort] || COMPARE.newest);
+}
+
+// Fills in the first prompt of sessions that have nothing to display.
+async function withDetails(items) {
+  const result = [...items];
+  const missing = result.map((item, i) => i).filter((i) => !result[i].title && !result[i].prompt);
+  const details = await inBatches(missing, (i) => api.get(`/sessions/${result[i].id}`));
+  details.forEach((detail, j) => {
+    if (detail.status !== "fulfilled") return;
+    const i = missing[j];
+    const { messages = [] } = detail.value;
+    result[i] = {
+      ...result[i],
+      prompt: messages.find((m) => m.role === "user")?.content || "No user message",
+      updatedAt: result[i].updatedAt || messages[messages.length - 1]?.timestamp || null,
+      messageCount: messages.length,
+      mode: modeOf(messages),
+    };
+  });
+  return result;
+}
+
+// A page state is { items, cursor, rest }: `cursor` for paginated backends,
+// `rest` holds the not yet shown entries of a legacy full list.
+async function fetchPage(state, view = DEFAULT_VIEW) {
+  if (state?.rest?.length) {
+    const page = await withDetails(state.rest.slice(0, PAGE_SIZE).map(normalize));
+    return { items: [...state.items, ...page], cursor: null, rest: state.rest.slice(PAGE_SIZE) };
+  }
+
+  const cursor = state?.cursor ? `&cursor=${encodeURIComponent(state.cursor)}` : "";
+  const query = `limit=${PAGE_SIZE}${cursor}${viewQuery(view)}`;
+  const data = await api.get(`/sessions?${query}`);
+  mergeRemoteMeta(data.sessions);
+  const previous = state?.items || [];
+  if ("next_cursor" in data) {
+    return { items: [...previous, ...data.sessions.map(normalize)], cursor: data.next_cursor, rest: [] };
+  }
+  const page = await withDetails(data.sessions.slice(0, PAGE_SIZE).map(normalize));
+  return { items: page, cursor: null, rest: data.sessions.slice(PAGE_SIZE) };
+}
+
+// Every session, without looking up details; used to walk the whole list.
+export async function fetchAllSummaries() {
+  const all = [];
+  let cursor = null;
+  do {
+    const query = `limit=${PAGE_SIZE * 4}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""}`;
+    const data = await api.get(`/sessions?${query}`);
+    all.push(...data.sessions.map(normalize));
+    cursor = data.next_cursor || null;
+  } while (cursor);
+  return all;
+}
+
+// Deletes a session on the backend and everything kept about it locally.
+// Imported sessions may be unknown to the backend, so a 404 is fine for them.
+// The request goes out before anything else is awaited; pass `keepalive`
+// when the page is about to go away.
+export async function deleteSession(id, { keepalive = false } = {}) {
+  try {
+    await api.delete(`/sessions/${id}`, { keepalive });
+  } catch (err) {
+    if (err.status !== 404 || !(await readImported()).some((s) => s.session_id === id)) throw err;
+  }
+  await removeImportedSession(id);
+  removeSessionMeta(id);
+  deleteCache(`history:${id}`);
+  deleteCache(attachmentTextKey(id));
+}
+
+// Deletion waits UNDO_WINDOW ms so it can be taken back from a toast; until
+// then the sessions are hidden from every list. Leaving the page sends the
+// requests right away, all at once and with keepalive, as a page that is
+// unloading gets no chance to work through them in batches. Switching backends cancels them instead, as they
+// would otherwise reach the new one.
+const pendingDeletes = new Set();
+const scheduledDeletes = new Set();
+const deletionListeners = new Set();
+
+// `deleted` lists the sessions that are now gone for good.
+const emitDeletion = (deleted = []) => deletionListeners.forEach((listener) => listener(deleted));
+
+const onDeletion = (listener) => {
+  deletionListeners.add(listener);
+  return () => deletionListeners.delete(listener);
+};
+
+export function deleteWithUndo(ids) {
+  const batch = ids.filter((id) => !pendingDeletes.has(id));
+  if (!batch.length) return;
+  batch.forEach((id) => pendingDeletes.add(id));
+  emitDeletion();
+
+  const entry = { settled: false };
+  const settle = () => {
+    if (entry.settled) return false;
+    entry.settled = true;
+    clearTimeout(entry.timer);
+    dismissToast(entry.toastId);
+    scheduledDeletes.delete(entry);
+    return true;
+  };
+  entry.commit = async () => {
+    if (!settle()) return;
+    const results = await inBatches(batch, (id) => deleteSession(id));
+    batch.forEach((id) => pendingDeletes.delete(id));
+    emitDeletion(batch.filter((_, i) => results[i].status === "fulfilled"));
+    const failed = results.filter((r) => r.status === "rejected");
+    if (failed.length === 1) toast.error(`Failed to delete session: ${failed[0].reason.message}`);
+    else if (failed.length) toast.error(`Failed to delete ${failed.length} sessions`);
+  };
+  entry.flush = () => {
+    if (!settle()) return;
+    batch.forEach((id) => deleteSession(id, { keepalive: true }).catch(() => {}));
+  };
+  entry.undo = () => {
+    if (!settle()) return;
+    batch.forEach((id) => pendingDeletes.delete(id));
+    emitDeletion();
+  };
+  entry.timer = setTimeout(entry.commit, UNDO_WINDOW);
+  entry.toastId = toast.info(batch.length === 1 ? "Session deleted" : `${batch.length} sessions deleted`, {
+    duration: UNDO_WINDOW,
+    action: { label: "Undo", onClick: entry.undo },
+  });
+  scheduledDeletes.add(entry);
+}
+
+window.addEventListener("pagehide", () => [...scheduledDeletes].forEach((entry) => entry.flush()));
+
+subscribe(() => {
+  if (!scheduledDeletes.size) return;
+  [...scheduledDeletes].forEach((entry) => entry.undo());
+  toast.info("Pending deletions were cancelled because the backend changed");
+});
+
+const EMPTY = { items: [], cursor: null, rest: [] };
+
+// `onError` is called when the first page cannot be loaded and nothing is
+// cached. `view` sorts and filters the list; see DEFAULT_VIEW.
+export function useSessionSummaries({ onError, view = DEFAULT_VIEW } = {}) {
+  const [state, setState] = useState(EMPTY);
+  const [loading, setLoading] = useState(false);
+  const [imported, setImported] = useState([]);
+  const [, setDeletions] = useState(0);
+  const stateRef = useRef(state);
+  const loadingRef = useRef(false);
+  // Bumped whenever the list starts over, so late pages of an older view are dropped.
+  const generationRef = useRef(0);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const viewKey = JSON.stringify(view);
+
+  const update = (next) => {
+    stateRef.current = next;
+    setState(next);
+  };
+
+  // Reloads the first page (cached copy first) and drops any later pages.
+  const refresh = useCallback(async () => {
+    const generation = generationRef.current;
+    const current = viewRef.current;
+    const key = isDefaultView(current) ? "sessions" : `sessions:${JSON.stringify(current)}`;
+    try {
+      await cachedFetch(key, () => fetchPage(null, current), (data) => {
+        if (generation === generationRef.current) update(data);
+      });
+    } catch (err) {
+      console.error("Error fetching sessions:", err);
+      onErrorRef.current?.(err);
+    }
+  }, []);
+
+  const loadMore = useCallback(async () => {
+    const current = stateRef.current;
+    if (loadingRef.current || (!current.cursor && !current.rest.length)) return;
+    const generation = generationRef.current;
+    loadingRef.current = true;
+    setLoading(true);
+    try {
+      const next = await fetchPage(current, viewRef.current);
+      if (generation === generationRef.current) update(next);
+    } catch (err) {
+      console.error("Error fetching more sessions:", err);
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+    }
+  }, []);
+
+  const restart = useCallback(() => {
+    generationRef.current++;
+    update(EMPTY);
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    readImported().then(setImported);
+    const unsubscribeImported = onImportedChange(setImported);
+    const unsubscribeBackend = subscribe(() => {
+      readImported().then(setImported);
+      restart();
+    });
+    const unsubscribeDeletion = onDeletion((deleted) => {
+      if (deleted.length) {
+        const gone = new Set(deleted);
+        const current = stateRef.current;
+        update({ ...current, items: current.items.filter((s) => !gone.has(s.id)) });
+      }
+      setDeletions((n) => n + 1);
+    });
+    return () => {
+      unsubscribeImported();
+      unsubscribeBackend();
+      unsubscribeDeletion();
+    };
+  }, [restart]);
+
+  useEffect(() => {
+    restart();
+  }, [viewKey, restart]);
+
+  const known = new Set(state.items.map((s) => s.id));
+  const local = imported.map(normalize).filter((s) => !known.has(s.id));
+  const visible = [...local, ...state.items].filter((s) => !pendingDeletes.has(s.id));
+
+  return {
+    sessions: isDefaultView(view) ? visible : applyView(visible, view),
+    hasMore: !!state.cursor || state.rest.length > 0,
+    loading,
+    loadMore,
+    refresh,
+  };
+}
@@ -0,0 +1,336 @@
+// Server-Sent Events client following the WHATWG event-stream spec
+// (https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation).
+// The backend streams over POST, so the native EventSource cannot be used;
+// everything that reads an event stream goes through this module instead.
+
+export class SSEParseError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = "SSEParseError";
+    this.line = line;
+  }
+}
+
+// Incremental parser. Feed it decoded text as it arrives and it calls
+// onEvent({ type, data, lastEventId }) for every dispatched event.
+// Malformed input never throws; it is reported through onError and skipped.
+export function createSSEParser({ onEvent, onRetry, onError } = {}) {
+  let buffer = "";
+  let started = false;
+  let pendingCR = false;
+  let eventType = "";
+  let data = "";
+  let hasData = false;
+  let lastEventId = "";
+  let lastEventIdBuffer = "";
+
+  const reportError = (message, line) => {
+    onError?.(new SSEParseError(message, line));
+  };
+
+  const dispatch = () => {
+    lastEventId = lastEventIdBuffer;
+    if (!hasData) {
+      eventType = "";
+      return;
+    }
+    const event = {
+      type: eventType || "message",
+      data: data.endsWith("\n") ? data.slice(0, -1) : data,
+      lastEventId,
+    };
+    eventType = "";
+    data = "";
+    hasData = false;
+    onEvent?.(event);
+  };
+
+  const processLine = (line) => {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) return; // comment / keep-alive
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    switch (field) {
+      case "event":
+        eventType = value;
+        break;
+      case "data":
+        data += value + "\n";
+        hasData = true;
+        break;
+      case "id":
+        if (value.includes("\0")) {
+          reportError("Ignored id field containing NULL", line);
+        } else {
+          lastEventIdBuffer = value;
+        }
+        break;
+      case "retry":
+        if (/^\d+$/.test(value)) {
+          onRetry?.(parseInt(value, 10));
+        } else {
+          reportError(`Ignored non-numeric retry value "${value}"`, line);
+        }
+        break;
+      default:
+        reportError(`Ignored unknown field "${field}"`, line);
+    }
+  };
+
+  const feed = (chunk) => {
+    if (!chunk) return;
+    if (!started) {
+      started = true;
+      if (chunk.charCodeAt(0) === 0xfeff) chunk = chunk.slice(1);
+    }
+    // A CR at the end of the previous chunk already terminated a line;
+    // swallow the LF that completes the CRLF pair.
+    if (pendingCR && chunk.startsWith("\n")) chunk = chunk.slice(1);
+    pendingCR = false;
+
+    buffer += chunk;
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (ch !== "\r" && ch !== "\n") continue;
+      processLine(buffer.slice(start, i));
+      if (ch === "\r") {
+        if (i + 1 === buffer.length) {
+          pendingCR = true;
+        } else if (buffer[i + 1] === "\n") {
+          i++;
+        }
+      }
+      start = i + 1;
+    }
+    buffer = buffer.slice(start);
+  };
+
+  const end = () => {
+    // Per spec, an event that was not terminated by a blank line is discarded.
+    if (buffer !== "" || hasData) {
+      reportError("Stream ended in the middle of an event", buffer);
+    }
+    buffer = "";
+    data = "";
+    hasData = false;
+    eventType = "";
+  };
+
+  return {
+    feed,
+    end,
+    get lastEventId() {
+      return lastEventId;
+    },
+  };
+}
+
+// Routes parsed events to typed handlers. Plain "message" and "token" events
+// carry answer text, "[DONE]" (or a "done" event) ends the answer, "sources"
+// carries a JSON payload and "error" carries a server-side error message.
+export function createEventDispatcher({ onToken, onSources, onError, onDone, onEvent, onParseError } = {}) {
+  return (event) => {
+    onEvent?.(event);
+    switch (event.type) {
+      case "message":
+      case "token":
+        if (event.data === "[DONE]") {
+          onDone?.(event);
+        } else {
+          onToken?.(event.data, event);
+        }
+        break;
+      case "sources":
+        try {
+          onSources?.(JSON.parse(event.data), event);
+        } catch {
+          onParseError?.(new SSEParseError("Malformed sources payload", event.data));
+        }
+        break;
+      case "error":
+        onError?.(new Error(event.data || "Stream error"));
+        break;
+      case "done":
+        onDone?.(event);
+        break;
+      default:
+        break;
+    }
+  };
+}
+
+// Reads a fetch Response body as an event stream until it closes.
+export async function readEventStream(response, { onEvent, onRetry, onParseError } = {}) {
+  const parser = createSSEParser({ onEvent, onRetry, onError: onParseError });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      parser.feed(decoder.decode(value, { stream: true }));
+    }
+  } catch (err) {
+    // A handler may throw to stop reading; release the connection either way.
+    reader.cancel().catch(() => {});
+    throw err;
+  }
+  parser.feed(decoder.decode());
+  parser.end();
+  return parser.lastEventId;
+}
+
+// POSTs (or GETs) to an SSE endpoint and dispatches the stream to typed
+// handlers: onOpen(response), onToken(text), onSources(list), onError(err),
+// onDone(), onParseError(err). Resolves once the stream has closed.
+export async function fetchEventStream(url, { handlers = {}, headers, ...init } = {}) {
+  const response = await fetch(url, {
+    ...init,
+    headers: {
+      Accept: "text/event-stream",
+      ...headers,
+    },
+  });
+
+  if (!response.ok) throw new Error(`Request failed: ${response.status}`);
+  if (!response.body) throw new Error("Response has no body to stream");
+
+  handlers.onOpen?.(response);
+
+  return readEventStream(response, {
+    onEvent: createEventDispatcher(handlers),
+    onRetry: handlers.onRetry,
+    onParseError: handlers.onParseError,
+  });
+}
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+// fetchEventStream plus automatic resume. When the connection drops before
+// the server signalled completion, the same request is replayed with a
+// Last-Event-ID header after an exponential backoff, and events the client
+// has already seen are skipped so no token is delivered twice. Resuming
+// needs event ids: a stream that never sent one fails as before, since
+// replaying it would restart the answer from scratch.
+// Extra handlers: onReconnecting({ attempt, delay, error }), onReconnected().
+// `headers` may be a function, called (and awaited) before every attempt.
+export async function fetchResumableEventStream(
+  url,
+  { handlers = {}, headers, signal, maxRetries = 5, initialDelay = 1000, maxDelay = 30000, ...init } = {}
+) {
+  let lastEventId = "";
+  let finished = false;
+  let opened = false;
+  let attempt = 0;
+  let baseDelay = initialDelay;
+  const seenIds = new Set();
+
+  const wrapped = {
+    ...handlers,
+    onOpen: (response) => {
+      if (opened) {
+        handlers.onReconnected?.(response);
+      } else {
+        opened = true;
+        handlers.onOpen?.(response);
+      }
+    },
+    onEvent: (event) => {
+      if (event.lastEventId) lastEventId = event.lastEventId;
+      handlers.onEvent?.(event);
+    },
+    onDone: (event) => {
+      finished = true;
+      handlers.onDone?.(event);
+    },
+    onRetry: (ms) => {
+      baseDelay = ms;
+      handlers.onRetry?.(ms);
+    },
+  };
+
+  while (true) {
+    let error = null;
+    try {
+      const response = await fetch(url, {
+        ...init,
+        signal,
+        headers: {
+          Accept: "text/event-stream",
+          ...(typeof headers === "function" ? await headers() : headers),
+          ...(lastEventId && { "Last-Event-ID": lastEventId }),
+        },
+      });
+      if (!response.ok) {
+        const err = new Error(`Request failed: ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+      if (!response.body) throw new Error("Response has no body to stream");
+
+      wrapped.onOpen(response);
+      attempt = 0;
+
+      const dispatch = createEventDispatcher(wrapped);
+      let connectionId = "";
+      let replaying = false;
+      await readEventStream(response, {
+        onEvent: (event) => {
+          // Events without an id inherit the previous one, so only a changed
+          // id says whether the server is replaying what we already handled.
+          if (event.lastEventId !== connectionId) {
+            connectionId = event.lastEventId;
+            replaying = seenIds.has(connectionId);
+            seenIds.add(connectionId);
+          }
+          if (replaying) return;
+          try {
+            dispatch(event);
+          } catch (err) {
+            // A handler rejected the stream (e.g. a server "error" event);
+            // that is not a dropped connection, so do not resume.
+            err.fromHandler = true;
+            throw err;
+          }
+        },
+        onRetry: wrapped.onRetry,
+        onParseError: handlers.onParseError,
+      });
+      if (finished) return lastEventId;
+      error = new Error("Stream closed before the response was complete");
+    } catch (err) {
+      if (err.name === "AbortError" || err.fromHandler || err.status < 500 || finished) throw err;
+      error = err;
+    }
+
+    if (!lastEventId || attempt >= maxRetries) throw error;
+    const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+    attempt += 1;
+    handlers.onReconnecting?.({ attempt, delay, error });
+    await wait(delay, signal);
+  }
+}
@@ -0,0 +1,173 @@
+import http from "node:http";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import { createSSEParser, fetchResumableEventStream } from "./sse";
+
+// A stand-in backend that streams TOKENS with ids and, depending on the
+// test, cuts the connection halfway or reports a server-side error.
+const TOKENS = Array.from({ length: 10 }, (_, i) => `token ${i}`);
+
+let server;
+let baseUrl;
+let requests;
+let behaviour;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const lastEventId = req.headers["last-event-id"];
+    requests.push({ lastEventId });
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.write("retry: 5\n\n");
+    if (behaviour === "error") {
+      res.write("id: 0\ndata: token 0\n\n");
+      res.end("event: error\ndata: Model overloaded\n\n");
+      return;
+    }
+    // A resumed request is answered from two events before the one asked
+    // for, like a server that replays from a coarse checkpoint; the client
+    // has to drop the repeats.
+    const from = lastEventId === undefined ? 0 : Math.max(0, Number(lastEventId) - 1);
+    for (let i = from; i < TOKENS.length; i++) {
+      if (behaviour === "drop" && requests.length === 1 && i === TOKENS.length / 2) {
+        // Cut the connection once what was sent so far is on the wire.
+        res.write("", () => res.socket.destroy());
+        return;
+      }
+      res.write(`id: ${i}\ndata: ${TOKENS[i]}\n\n`);
+    }
+    res.end("data: [DONE]\n\n");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  behaviour = "drop";
+});
+
+const collect = (options = {}) => {
+  const tokens = [];
+  const reconnects = [];
+  const done = fetchResumableEventStream(`${baseUrl}/chat`, {
+    method: "POST",
+    initialDelay: 5,
+    ...options,
+    handlers: {
+      onToken: (text) => tokens.push(text),
+      onReconnecting: (info) => reconnects.push(info),
+      onError: (err) => {
+        throw err;
+      },
+    },
+  });
+  return { tokens, reconnects, done };
+};
+
+describe("fetchResumableEventStream", () => {
+  it("resumes a dropped stream without losing or repeating tokens", async () => {
+    const { tokens, reconnects, done } = collect();
+    await done;
+    expect(tokens).toEqual(TOKENS);
+    expect(reconnects).toHaveLength(1);
+    expect(requests.map((r) => r.lastEventId)).toEqual([undefined, String(TOKENS.length / 2 - 1)]);
+  });
+
+  it("streams straight through when nothing drops", async () => {
+    behaviour = "complete";
+    const { tokens, reconnects, done } = collect();
+    await done;
+    expect(tokens).toEqual(TOKENS);
+    expect(reconnects).toHaveLength(0);
+    expect(requests).toHaveLength(1);
+  });
+
+  it("does not resume after a server error event", async () => {
+    behaviour = "error";
+    const { tokens, reconnects, done } = collect();
+    await expect(done).rejects.toThrow("Model overloaded");
+    expect(tokens).toEqual(["token 0"]);
+    expect(reconnects).toHaveLength(0);
+    expect(requests).toHaveLength(1);
+  });
+});
+
+// Feeds `chunks` to a parser and returns what it reported.
+const parse = (...chunks) => {
+  const events = [];
+  const retries = [];
+  const errors = [];
+  const parser = createSSEParser({
+    onEvent: (event) => events.push(event),
+    onRetry: (ms) => retries.push(ms),
+    onError: (err) => errors.push(err),
+  });
+  chunks.forEach((chunk) => parser.feed(chunk));
+  parser.end();
+  return { events, retries, errors, lastEventId: parser.lastEventId };
+};
+
+const message = (data, lastEventId = "") => ({ type: "message", data, lastEventId });
+
+describe("createSSEParser", () => {
+  it.each([
+    ["LF", "\n"],
+    ["CRLF", "\r\n"],
+    ["CR", "\r"],
+  ])("splits lines on %s", (_, eol) => {
+    expect(parse(`data: a${eol}${eol}data: b${eol}${eol}`).events).toEqual([message("a"), message("b")]);
+  });
+
+  it("joins multi-line data with newlines", () => {
+    expect(parse("data: one\ndata:two\ndata\n\n").events).toEqual([message("one\ntwo\n")]);
+  });
+
+  it("reads the event, id and retry fields", () => {
+    const { events, retries, lastEventId } = parse("event: sources\nid: 7\nretry: 2500\ndata: []\n\ndata: x\n\n");
+    expect(events).toEqual([{ type: "sources", data: "[]", lastEventId: "7" }, message("x", "7")]);
+    expect(retries).toEqual([2500]);
+    expect(lastEventId).toBe("7");
+  });
+
+  it("reports a retry value that is not a number", () => {
+    const { retries, errors } = parse("retry: soon\n\n");
+    expect(retries).toEqual([]);
+    expect(errors.map((err) => err.message)).toEqual(['Ignored non-numeric retry value "soon"']);
+  });
+
+  it("skips comment lines", () => {
+    const { events, errors } = parse(": keep-alive\ndata: a\n:another\n\n");
+    expect(events).toEqual([message("a")]);
+    expect(errors).toEqual([]);
+  });
+
+  it("drops a leading byte order mark", () => {
+    expect(parse("\ufeffdata: a\n\n").events).toEqual([message("a")]);
+  });
+
+  it("only drops the byte order mark at the start of the stream", () => {
+    expect(parse("data: a\n\n", "\ufeffdata: b\n\n").errors).toHaveLength(1);
+  });
+
+  it("ignores an id containing NUL", () => {
+    const { events, errors } = parse("id: 1\ndata: a\n\nid: 2\0\ndata: b\n\n");
+    expect(events).toEqual([message("a", "1"), message("b", "1")]);
+    expect(errors.map((err) => err.message)).toEqual(["Ignored id field containing NULL"]);
+  });
+
+  it("reassembles lines split across chunks", () => {
+    expect(parse("da", "ta: hel", "lo\n", "\n").events).toEqual([message("hello")]);
+  });
+
+  it("treats a CRLF split across chunks as one line break", () => {
+    const { events } = parse("data: a\r", "\ndata: b\r", "\n\r", "\n");
+    expect(events).toEqual([message("a\nb")]);
+  });
+
+  it("does not dispatch a final event without a blank line", () => {
+    const { events, errors } = parse("data: a\n\ndata: b\n");
+    expect(events).toEqual([message("a")]);
+    expect(errors.map((err) => err.message)).toEqual(["Stream ended in the middle of an event"]);
+  });
+});
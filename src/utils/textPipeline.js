@@ -0,0 +1,221 @@
+// Formatting pipeline applied to assistant output before it is rendered as
+// Markdown. Each stage is a named, self-contained transform with golden
+// examples (input -> expected output when the stage runs on its own, checked
+// by textPipeline.test.js), so a new fix can be added, toggled off from
+// settings or tested in isolation without touching the rest of the chain.
+//
+// Stages run in registry order and share a context object. The LaTeX
+// "protect" stages swap math for __LATEX_n__ placeholders so the text
+// stages in between cannot mangle it; "restore-latex" puts it back.
+
+const STORAGE_KEY = "nova.pipelineStages";
+
+const protect = (ctx, latex) => {
+  ctx.latex.push(latex);
+  return `__LATEX_${ctx.latex.length - 1}__`;
+};
+
+const stages = [
+  {
+    id: "fix-spaced-letters",
+    label: "Join spaced-out letters",
+    description: 'Fixes three-letter streaming artifacts like "W h y".',
+    run: (text) => text.replace(/\b(\w)\s+(\w)\s+(\w)\b/g, "$1$2$3"),
+    examples: [{ input: "W h y", output: "Why" }],
+  },
+  {
+    id: "drop-comma-connectives",
+    label: 'Drop comma before "then"/"so"',
+    description: 'Removes duplicate ",then" or ",so".',
+    run: (text) => text.replace(/,(\s*)(then|so)\b/g, (match, space, word) => `${space || " "}${word}`),
+    examples: [
+      { input: "x is even, then", output: "x is even then" },
+      { input: "it failed,so retry", output: "it failed so retry" },
+      { input: "one,sober", output: "one,sober" },
+    ],
+  },
+  {
+    id: "normalize-line-endings",
+    label: "Normalize line endings",
+    run: (text) => text.replace(/\r\n|\r/g, "\n"),
+    examples: [{ input: "a\r\nb\rc", output: "a\nb\nc" }],
+  },
+  {
+    id: "protect-latex",
+    label: "Protect LaTeX equations",
+    description: "Shields $...$ and $$...$$ from the text stages.",
+    run: (text, ctx) => text.replace(/(\$\$[\s\S]*?\$\$|\$[^$]*?\$)/g, (match) => protect(ctx, match)),
+    examples: [{ input: "so $x^2$ and $$y$$", output: "so __LATEX_0__ and __LATEX_1__" }],
+  },
+  {
+    id: "protect-malformed-latex",
+    label: "Protect unopened display math",
+    description: 'Treats "= ... $$" as inline math.',
+    run: (text, ctx) =>
+      text.replace(/=\s*([^$]*?)\$\$/g, (match, content) => `= ${protect(ctx, `$${content}$`)}`),
+    examples: [{ input: "E = mc^2$$", output: "E = __LATEX_0__" }],
+  },
+  {
+    id: "protect-latex-commands",
+    label: "Protect bare LaTeX commands",
+    description: "Wraps \\frac, \\int, \\pi, \\psi, \\le and \\ge written without delimiters.",
+    run: (text, ctx) =>
+      text.replace(/\\(frac|int|pi|psi|le|ge)\b(?:{[^{}]*})?(?:{[^{}]*})?/g, (match) => protect(ctx, `$${match}$`)),
+    examples: [{ input: "half is \\frac{1}{2}", output: "half is __LATEX_0__" }],
+  },
+  {
+    id: "protect-qm-fractions",
+    label: "Protect u \\frac{…}{…} (quantum mechanics)",
+    description: "Content-specific: keeps a substitution variable next to its fraction.",
+    run: (text, ctx) =>
+      text.replace(/\b(u|du|dx)\s*\\frac\{([^}]*)\}\{([^}]*)\}/g, (match, varName, num, denom) =>
+        protect(ctx, `$${varName} \\frac{${num}}{${denom}}$`)
+      ),
+    examples: [{ input: "u \\frac{\\pi x}{L}", output: "__LATEX_0__" }],
+  },
+  {
+    id: "tidy-bold-punctuation",
+    label: "Tidy bold labels",
+    description: 'Turns "**Label: **" into "**Label:**".',
+    run: (text) => text.replace(/(\*\*[^*]+?)(:|\?)\s*(\*\*)/g, "$1$2$3"),
+    examples: [{ input: "**Definite Integration: **", output: "**Definite Integration:**" }],
+  },
+  {
+    id: "merge-soft-breaks",
+    label: "Merge soft line breaks",
+    description: "Joins lines unless the next one starts a list item or heading.",
+    run: (text) => text.replace(/([^\n])\n(?!\n|[*+]\s|\d+\.\s|#)/g, "$1 "),
+    examples: [{ input: "one\ntwo\n* item", output: "one two\n* item" }],
+  },
+  {
+    id: "break-before-colon-math",
+    label: "Break before math after a colon",
+    run: (text) => text.replace(/(:)\s*(\$\$[\s\S]*?\$\$|\$[^$]*?\$)/g, "$1\n$2"),
+    examples: [{ input: "gives: $x$", output: "gives:\n$x$" }],
+  },
+  {
+    id: "fix-url-spacing",
+    label: "Remove spaces inside URLs",
+    run: (text) => text.replace(/(https?:\/\/[^\s<]*?)\s*([.:])\s*/g, (match, url, punct) => `${url}${punct}`),
+    examples: [{ input: "https://example . com", output: "https://example.com" }],
+  },
+  {
+    id: "collapse-blank-lines",
+    label: "Limit blank lines",
+    run: (text) => text.replace(/\n{3,}/g, "\n\n"),
+    examples: [{ input: "a\n\n\n\nb", output: "a\n\nb" }],
+  },
+  {
+    id: "merge-single-newlines",
+    label: "Merge single newlines",
+    description: "Joins wrapped sentences but keeps lists, headings, math and sentence starters.",
+    run: (text) =>
+      text.replace(
+        /([^\n])\n(?!\n|[-*+]\s*(__LATEX_\d+__)?|\d+\.\s|#|\s*__LATEX_\d+__|\b(Let|When|Therefore|If|Then)\b|[.,:;]$)/g,
+        "$1 "
+      ),
+    examples: [{ input: "a\nb\nTherefore c", output: "a b\nTherefore c" }],
+  },
+  {
+    id: "trim",
+    label: "Trim whitespace",
+    run: (text) => text.trim(),
+    examples: [{ input: "  a \n", output: "a" }],
+  },
+  {
+    id: "space-blocks",
+    label: "Space out headings and lists",
+    run: (text) =>
+      text
+        .replace(/^(#+.*)$/gm, "\n\n$1\n\n")
+        .replace(/([-*+]\s.*)\n\n(?![-*+\d])/g, "$1\n\n\n"),
+    examples: [{ input: "# Title\ntext", output: "\n\n# Title\n\n\ntext" }],
+  },
+  {
+    id: "bold-dividing-by",
+    label: 'Bold "Dividing by $A e^{i(kx - \\omega t)}$:"',
+    description: "Content-specific rewrite for one wave-equation derivation.",
+    run: (text) =>
+      text.replace(
+        /(?<!\*\*)Dividing by \$A e\^\{i\(kx (?:- )?\\omega t\)\}\$:/g,
+        "**Dividing by $A e^{i(kx - \\omega t)}$:**"
+      ),
+    examples: [
+      {
+        input: "Dividing by $A e^{i(kx \\omega t)}$:",
+        output: "**Dividing by $A e^{i(kx - \\omega t)}$:**",
+      },
+    ],
+  },
+  {
+    id: "restore-latex",
+    label: "Restore LaTeX equations",
+    locked: true,
+    run: (text, ctx) => text.replace(/__LATEX_(\d+)__/g, (match, index) => ctx.latex[index] ?? match),
+    examples: [{ input: "so __LATEX_0__", context: { latex: ["$x$"] }, output: "so $x$" }],
+  },
+  {
+    id: "space-inline-math",
+    label: "Space around inline math",
+    run: (text) =>
+      text
+        .replace(/(\$[^$]+\$)\s*([^\s$])/g, "$1 $2")
+        .replace(/([^\s$])\s*(\$[^$]+\$)/g, "$1 $2"),
+    examples: [{ input: "a$x$b", output: "a $x$ b" }],
+  },
+  {
+    id: "isolate-display-math",
+    label: "Put display math on its own lines",
+    run: (text) => text.replace(/^(\$\$.*\$\$)$/gm, "\n$1\n"),
+    examples: [{ input: "$$x$$", output: "\n$$x$$\n" }],
+  },
+  {
+    id: "collapse-blank-lines-final",
+    label: "Limit blank lines (final pass)",
+    run: (text) => text.replace(/\n{3,}/g, "\n\n"),
+    examples: [{ input: "a\n\n\nb", output: "a\n\nb" }],
+  },
+];
+
+export const getStages = () => stages;
+
+// Adds a stage before or after an existing one (appends by default).
+export const registerStage = (stage, { before, after } = {}) => {
+  const anchor = before ?? after;
+  const index = anchor ? stages.findIndex((s) => s.id === anchor) : -1;
+  if (index === -1) stages.push(stage);
+  else stages.splice(before ? index : index + 1, 0, stage);
+};
+
+// Stage toggles saved from settings. Workers have no localStorage, so the
+// markdown worker receives them with each request.
+export const getStageOverrides = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const isStageEnabled = (stage, overrides = getStageOverrides()) =>
+  stage.locked || (overrides[stage.id] ?? true);
+
+export const setStageEnabled = (id, enabled) => {
+  const overrides = getStageOverrides();
+  overrides[id] = enabled;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+};
+
+export const resetStages = () => localStorage.removeItem(STORAGE_KEY);
+
+export function runPipeline(text, { only, overrides = getStageOverrides() } = {}) {
+  if (!text) return "";
+  const ctx = { latex: [] };
+  for (const stage of stages) {
+    const enabled = only ? only.includes(stage.id) : isStageEnabled(stage, overrides);
+    if (enabled) text = stage.run(text, ctx);
+  }
+  return text;
+}
+
+export default runPipeline;
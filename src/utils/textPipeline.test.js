@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { getStages, isStageEnabled, runPipeline } from "./textPipeline";
+
+describe("text pipeline stages", () => {
+  for (const stage of getStages()) {
+    describe(stage.id, () => {
+      it("has golden examples", () => {
+        expect(stage.examples?.length).toBeGreaterThan(0);
+      });
+
+      for (const { input, output, context } of stage.examples || []) {
+        it(`turns ${JSON.stringify(input)} into ${JSON.stringify(output)}`, () => {
+          expect(stage.run(input, { latex: [], ...context })).toBe(output);
+        });
+      }
+    });
+  }
+});
+
+describe("isStageEnabled", () => {
+  it("runs every stage unless the user turned it off", () => {
+    expect(getStages().filter((stage) => !isStageEnabled(stage, {}))).toEqual([]);
+    expect(isStageEnabled(getStages().find((s) => s.id === "bold-dividing-by"), { "bold-dividing-by": false })).toBe(false);
+  });
+});
+
+describe("runPipeline", () => {
+  it("restores protected LaTeX untouched", () => {
+    const text = "so $x , then y$ and $$z$$";
+    expect(runPipeline(text, { only: ["protect-latex", "restore-latex"] })).toBe(text);
+  });
+
+  it("runs only the listed stages, in registry order", () => {
+    expect(runPipeline("W h y, then", { only: ["fix-spaced-letters", "drop-comma-connectives"] })).toBe("Why then");
+  });
+
+  it("returns an empty string for empty input", () => {
+    expect(runPipeline("")).toBe("");
+  });
+});
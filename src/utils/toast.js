@@ -0,0 +1,42 @@
+// Non-blocking notifications. Any module can call toast.error(...) and the
+// <Toaster> mounted in App shows it; the store is module-level so helpers
+// outside React can report too.
+//
+// Options: { action: { label, onClick }, duration } — duration in ms, 0 keeps
+// the toast until it is dismissed.
+
+const DURATIONS = { info: 4000, success: 4000, error: 8000 };
+
+let toasts = [];
+let nextId = 1;
+const listeners = new Set();
+const timers = new Map();
+
+const emit = () => listeners.forEach((listener) => listener(toasts));
+
+export const subscribeToasts = (listener) => {
+  listeners.add(listener);
+  listener(toasts);
+  return () => listeners.delete(listener);
+};
+
+export function dismissToast(id) {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  toasts = toasts.filter((t) => t.id !== id);
+  emit();
+}
+
+function show(type, message, { action, duration = DURATIONS[type] } = {}) {
+  const id = nextId++;
+  toasts = [...toasts, { id, type, message, action }];
+  emit();
+  if (duration) timers.set(id, setTimeout(() => dismissToast(id), duration));
+  return id;
+}
+
+export const toast = {
+  info: (message, options) => show("info", message, options),
+  success: (message, options) => show("success", message, options),
+  error: (message, options) => show("error", message, options),
+};
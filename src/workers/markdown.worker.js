@@ -0,0 +1,21 @@
+import { markdownToHast } from "../utils/markdown";
+
+// Builds message hast trees off the main thread; see utils/markdownRenderer.
+// Requests are { id, content, options } and are answered in order with
+// { id, tree } or { id, error }.
+
+// Positions are only useful for debugging and make every tree much larger
+// to copy back to the page.
+const stripPositions = (node) => {
+  delete node.position;
+  node.children?.forEach(stripPositions);
+  return node;
+};
+
+self.onmessage = ({ data: { id, content, options } }) => {
+  try {
+    self.postMessage({ id, tree: stripPositions(markdownToHast(content, options)) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};